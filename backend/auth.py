@@ -1,4 +1,7 @@
+import hashlib
 import os
+import secrets
+import uuid
 from datetime import datetime, timedelta
 from typing import Optional
 
@@ -14,7 +17,20 @@ from models.database import SessionLocal
 # Secret key - override with env var in production
 SECRET_KEY = os.getenv("JWT_SECRET_KEY", "change-this-secret")
 ALGORITHM = "HS256"
-ACCESS_TOKEN_EXPIRE_MINUTES = 60 * 24 * 7  # 7 days by default
+# Access tokens are short-lived; the frontend renews them with a refresh
+# token, which is replaced by a new one on every use
+ACCESS_TOKEN_EXPIRE_MINUTES = int(os.getenv("ACCESS_TOKEN_EXPIRE_MINUTES", "15"))
+REFRESH_TOKEN_EXPIRE_DAYS = int(os.getenv("REFRESH_TOKEN_EXPIRE_DAYS", "30"))
+# A refresh token used again this soon after it was rotated is taken for a
+# second tab racing the first, not for a leak
+REFRESH_REUSE_GRACE_SECONDS = 30
+
+# Lifetimes of the single-use tokens sent by email
+USER_TOKEN_LIFETIMES = {
+    "verify_email": timedelta(hours=48),
+    "reset_password": timedelta(hours=1),
+    "change_email": timedelta(hours=48),
+}
 
 # Prefer Argon2 (no 72-byte limit and generally more secure). Fall back to
 # bcrypt if Argon2 backend isn't available in the environment.
@@ -27,6 +43,8 @@ except Exception:
     pwd_context = CryptContext(schemes=["bcrypt"], deprecated="auto")
     _HASH_SCHEME = "bcrypt"
 oauth2_scheme = OAuth2PasswordBearer(tokenUrl="/token")
+# Same header, but a missing token is not an error (e.g. for /logout)
+optional_oauth2_scheme = OAuth2PasswordBearer(tokenUrl="/token", auto_error=False)
 
 
 def get_db():
@@ -63,11 +81,126 @@ def create_access_token(data: dict, expires_delta: Optional[timedelta] = None) -
         expire = datetime.utcnow() + expires_delta
     else:
         expire = datetime.utcnow() + timedelta(minutes=ACCESS_TOKEN_EXPIRE_MINUTES)
-    to_encode.update({"exp": expire})
+    # jti identifies the token on the revocation list
+    to_encode.update({"exp": expire, "jti": uuid.uuid4().hex})
     encoded_jwt = jwt.encode(to_encode, SECRET_KEY, algorithm=ALGORITHM)
     return encoded_jwt
 
 
+def decode_access_token(token: str) -> Optional[dict]:
+    try:
+        return jwt.decode(token, SECRET_KEY, algorithms=[ALGORITHM])
+    except JWTError:
+        return None
+
+
+def is_token_revoked(db: Session, jti: Optional[str]) -> bool:
+    if jti is None:
+        return False
+    return db.query(user_model.RevokedToken).filter(user_model.RevokedToken.jti == jti).first() is not None
+
+
+def revoke_access_token(db: Session, payload: dict):
+    """
+    Puts the token's jti on the revocation list until the token expires anyway.
+    """
+    jti = payload.get("jti")
+    if jti is None or is_token_revoked(db, jti):
+        return
+    now = datetime.utcnow()
+    # expired entries can never match a valid token again
+    db.query(user_model.RevokedToken).filter(user_model.RevokedToken.expires_at < now).delete()
+    db.add(user_model.RevokedToken(jti=jti, expires_at=datetime.utcfromtimestamp(payload["exp"])))
+    db.commit()
+
+
+def _hash_token(token: str) -> str:
+    return hashlib.sha256(token.encode("utf-8")).hexdigest()
+
+
+def create_refresh_token(db: Session, user: user_model.User) -> str:
+    """
+    Random opaque token; only its hash is stored.
+    """
+    token = secrets.token_urlsafe(48)
+    db.add(
+        user_model.RefreshToken(
+            user_id=user.id,
+            token_hash=_hash_token(token),
+            expires_at=datetime.utcnow() + timedelta(days=REFRESH_TOKEN_EXPIRE_DAYS),
+        )
+    )
+    db.commit()
+    return token
+
+
+def get_refresh_token(db: Session, token: str) -> Optional[user_model.RefreshToken]:
+    return (
+        db.query(user_model.RefreshToken)
+        .filter(user_model.RefreshToken.token_hash == _hash_token(token))
+        .first()
+    )
+
+
+def revoke_refresh_tokens(db: Session, user_id: int):
+    db.query(user_model.RefreshToken).filter(
+        user_model.RefreshToken.user_id == user_id,
+        user_model.RefreshToken.revoked_at.is_(None),
+    ).update({"revoked_at": datetime.utcnow()})
+    db.commit()
+
+
+def issue_tokens(db: Session, user: user_model.User) -> dict:
+    access_token = create_access_token(data={"sub": user.email})
+    return {
+        "access_token": access_token,
+        "refresh_token": create_refresh_token(db, user),
+        "token_type": "bearer",
+        "expires_in": ACCESS_TOKEN_EXPIRE_MINUTES * 60,
+    }
+
+
+def rotate_refresh_token(db: Session, token: str) -> dict:
+    """
+    Exchanges a refresh token for a new token pair. A refresh token is
+    single-use: presenting one that was rotated more than
+    REFRESH_REUSE_GRACE_SECONDS ago means it leaked, so every session of
+    that user is ended.
+    """
+    invalid_exception = HTTPException(
+        status_code=status.HTTP_401_UNAUTHORIZED,
+        detail="Invalid refresh token",
+    )
+    now = datetime.utcnow()
+    stored = get_refresh_token(db, token)
+    if stored is None:
+        raise invalid_exception
+    if stored.revoked_at is not None:
+        if now - stored.revoked_at > timedelta(seconds=REFRESH_REUSE_GRACE_SECONDS):
+            revoke_refresh_tokens(db, stored.user_id)
+        raise invalid_exception
+    if stored.expires_at < now:
+        raise invalid_exception
+
+    user = db.query(user_model.User).filter(user_model.User.id == stored.user_id).first()
+    if user is None or not user.is_active:
+        raise invalid_exception
+
+    # only one of several concurrent requests gets to rotate the token
+    rotated = (
+        db.query(user_model.RefreshToken)
+        .filter(
+            user_model.RefreshToken.id == stored.id,
+            user_model.RefreshToken.revoked_at.is_(None),
+        )
+        .update({"revoked_at": now}, synchronize_session=False)
+    )
+    db.commit()
+    if rotated != 1:
+        raise invalid_exception
+    return issue_tokens(db, user)
+
+
 def get_user_by_email(db: Session, email: str) -> Optional[user_model.User]:
     return db.query(user_model.User).filter(user_model.User.email == email).first()
 
@@ -81,20 +214,82 @@ def authenticate_user(db: Session, email: str, password: str) -> Optional[user_m
     return user
 
 
+def create_user_token(db: Session, user: user_model.User, purpose: str) -> str:
+    """
+    Single-use token for an email link; older unused tokens of the same
+    purpose stop working.
+    """
+    now = datetime.utcnow()
+    db.query(user_model.UserToken).filter(
+        user_model.UserToken.user_id == user.id,
+        user_model.UserToken.purpose == purpose,
+        user_model.UserToken.used_at.is_(None),
+    ).update({"used_at": now})
+    token = secrets.token_urlsafe(32)
+    db.add(
+        user_model.UserToken(
+            user_id=user.id,
+            purpose=purpose,
+            token_hash=_hash_token(token),
+            expires_at=now + USER_TOKEN_LIFETIMES[purpose],
+        )
+    )
+    db.commit()
+    return token
+
+
+def get_user_token(db: Session, token: str, purpose: str):
+    return (
+        db.query(user_model.UserToken)
+        .filter(
+            user_model.UserToken.token_hash == _hash_token(token),
+            user_model.UserToken.purpose == purpose,
+        )
+        .first()
+    )
+
+
+def consume_user_token(db: Session, token: str, purpose: str) -> user_model.User:
+    """
+    Marks the token used and returns its user. The caller commits.
+    """
+    invalid_exception = HTTPException(
+        status_code=status.HTTP_400_BAD_REQUEST,
+        detail="This link is invalid or has expired",
+    )
+    stored = get_user_token(db, token, purpose)
+    if stored is None or stored.used_at is not None or stored.expires_at < datetime.utcnow():
+        raise invalid_exception
+
+    user = db.query(user_model.User).filter(user_model.User.id == stored.user_id).first()
+    if user is None:
+        raise invalid_exception
+    stored.used_at = datetime.utcnow()
+    return user
+
+
 def get_current_user(token: str = Depends(oauth2_scheme), db: Session = Depends(get_db)) -> user_model.User:
     credentials_exception = HTTPException(
         status_code=status.HTTP_401_UNAUTHORIZED,
         detail="Could not validate credentials",
         headers={"WWW-Authenticate": "Bearer"},
     )
-    try:
-        payload = jwt.decode(token, SECRET_KEY, algorithms=[ALGORITHM])
-        email: str = payload.get("sub")
-        if email is None:
-            raise credentials_exception
-    except JWTError:
+    payload = decode_access_token(token)
+    if payload is None:
+        raise credentials_exception
+    email: str = payload.get("sub")
+    if email is None or is_token_revoked(db, payload.get("jti")):
         raise credentials_exception
     user = get_user_by_email(db, email=email)
-    if user is None:
+    if user is None or not user.is_active:
         raise credentials_exception
     return user
+
+
+def get_current_admin(current_user: user_model.User = Depends(get_current_user)) -> user_model.User:
+    if not current_user.is_admin:
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail="Admin privileges required",
+        )
+    return current_user
@@ -0,0 +1,113 @@
+import os
+import smtplib
+from datetime import datetime
+from email.message import EmailMessage
+
+MAIL_FROM = os.getenv("MAIL_FROM", "Parkest <no-reply@parkest.local>")
+# Links in emails point at the frontend
+FRONTEND_URL = os.getenv("FRONTEND_URL", "http://localhost:5173")
+
+
+class FileOutboxMailer:
+    """
+    Development sender: every message is written to the outbox directory as
+    an .eml file instead of being delivered.
+    """
+
+    def __init__(self, directory):
+        self.directory = directory
+        os.makedirs(self.directory, exist_ok=True)
+
+    def send(self, message: EmailMessage):
+        name = "{}-{}.eml".format(
+            datetime.utcnow().strftime("%Y%m%d-%H%M%S-%f"),
+            message["To"].replace("@", "_at_"),
+        )
+        with open(os.path.join(self.directory, name), "wb") as f:
+            f.write(bytes(message))
+
+
+class SmtpMailer:
+    """
+    Delivers through an SMTP server, e.g. a local stand-in like MailHog.
+    """
+
+    def __init__(self, host, port, username=None, password=None, use_tls=False):
+        self.host = host
+        self.port = port
+        self.username = username
+        self.password = password
+        self.use_tls = use_tls
+
+    def send(self, message: EmailMessage):
+        with smtplib.SMTP(self.host, self.port) as smtp:
+            if self.use_tls:
+                smtp.starttls()
+            if self.username:
+                smtp.login(self.username, self.password)
+            smtp.send_message(message)
+
+
+def create_mailer():
+    """
+    Picks the sender with MAIL_BACKEND ("file" or "smtp"); the file outbox
+    is the default so development needs no mail server.
+    """
+    backend = os.getenv("MAIL_BACKEND", "file")
+    if backend == "smtp":
+        return SmtpMailer(
+            host=os.getenv("SMTP_HOST", "localhost"),
+            port=int(os.getenv("SMTP_PORT", "1025")),
+            username=os.getenv("SMTP_USERNAME") or None,
+            password=os.getenv("SMTP_PASSWORD") or None,
+            use_tls=os.getenv("SMTP_USE_TLS", "false").lower() == "true",
+        )
+    return FileOutboxMailer(os.getenv("MAIL_OUTBOX_DIR", "/app/mail_outbox"))
+
+
+mailer = create_mailer()
+
+
+def send_mail(to: str, subject: str, body: str):
+    message = EmailMessage()
+    message["From"] = MAIL_FROM
+    message["To"] = to
+    message["Subject"] = subject
+    # 8bit keeps links readable in the outbox files (no quoted-printable)
+    message.set_content(body, cte="8bit")
+    mailer.send(message)
+
+
+def send_verification_mail(user, token: str):
+    link = f"{FRONTEND_URL}/auth?verify={token}"
+    send_mail(
+        user.email,
+        "Verify your Parkest email",
+        f"Hi {user.name},\n\n"
+        f"please confirm your email address to activate your account:\n{link}\n\n"
+        "If you did not sign up for Parkest, you can ignore this email.\n",
+    )
+
+
+def send_email_change_mail(user, new_email: str, token: str):
+    link = f"{FRONTEND_URL}/auth?confirm_email={token}"
+    send_mail(
+        new_email,
+        "Confirm your new Parkest email",
+        f"Hi {user.name},\n\n"
+        f"please confirm this address to use it for your Parkest account:\n{link}\n\n"
+        "Until then you keep logging in with your current email. If you did "
+        "not ask for this change, you can ignore this email.\n",
+    )
+
+
+def send_password_reset_mail(user, token: str):
+    link = f"{FRONTEND_URL}/auth?reset={token}"
+    send_mail(
+        user.email,
+        "Reset your Parkest password",
+        f"Hi {user.name},\n\n"
+        f"use this link to choose a new password:\n{link}\n\n"
+        "If you did not ask for a reset, you can ignore this email; "
+        "your password stays the same.\n",
+    )
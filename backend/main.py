@@ -1,24 +1,57 @@
-from fastapi import FastAPI, Depends, HTTPException, status
+from fastapi import FastAPI, Depends, HTTPException, Query, Response, status
 from fastapi.security import OAuth2PasswordRequestForm
 from sqlalchemy.orm import Session
 from sqlalchemy import text
+from sqlalchemy.exc import IntegrityError
 from datetime import timedelta
+from typing import List, Optional
 
 from models.database import engine, Base
 from models import user as user_model
 from models import schemas
 import auth
+import mailer
 
 from fastapi.middleware.cors import CORSMiddleware
 
-from parking_time_estimators.estimator import ParkingCapacityEstimator
+from parking_time_estimators.estimator import (
+    ParkingCapacityEstimator,
+    COLUMNS,
+    DAY_TYPES,
+    FACTOR,
+    FIXED_SEARCH_TIME,
+    TIME_PER_SPOT,
+    occupancy_from_search_time,
+    search_time_from_measured,
+    search_time_from_occupancy,
+)
+from parking_time_estimators.model_store import ModelStore
+
+from datetime import datetime, timezone
+from zoneinfo import ZoneInfo
+import base64
+import csv
+import io
+import json
+import math
+import os
+
+import pandas as pd
 
-from datetime import datetime
-import random
+BASE_TRAINING_CSV = "/app/synthentic_parking_occupancy.csv"
+model_store = ModelStore(os.getenv("MODEL_STORE_DIR", "/app/model_store"))
 
 print("Loading parking capacity estimator model...")
-estimator = ParkingCapacityEstimator("/app/synthentic_parking_occupancy.csv")
-print("Model loaded.")
+estimator = model_store.load_active()
+if estimator is None:
+    # first start: train on the base data and keep it as the first version
+    estimator = ParkingCapacityEstimator(BASE_TRAINING_CSV)
+    model_store.save(
+        estimator,
+        {"training_rows": len(pd.read_csv(BASE_TRAINING_CSV)), "sources": ["base"]},
+        activate=True,
+    )
+print(f"Model {estimator.version} loaded.")
 
 
 app = FastAPI()
@@ -50,10 +83,19 @@ def register(user_in: schemas.UserCreate, db: Session = Depends(auth.get_db)):
         hashed = auth.get_password_hash(user_in.password)
     except ValueError as e:
         raise HTTPException(status_code=400, detail=str(e))
-    user = user_model.User(email=user_in.email, hashed_password=hashed, name=user_in.name, saved_time=0.0)
+    # the account stays inactive until the email address is confirmed
+    user = user_model.User(
+        email=user_in.email, hashed_password=hashed, name=user_in.name, saved_time=0.0, is_active=False
+    )
     db.add(user)
     db.commit()
     db.refresh(user)
+    try:
+        mailer.send_verification_mail(user, auth.create_user_token(db, user, "verify_email"))
+    except Exception as e:
+        # the account exists either way; the link can be sent again with
+        # /verify_email/resend
+        print(f"Sending the verification mail to {user.email} failed: {e}")
     return user
 
 
@@ -66,17 +108,333 @@ def login_for_access_token(form_data: OAuth2PasswordRequestForm = Depends(), db:
             detail="Incorrect email or password",
             headers={"WWW-Authenticate": "Bearer"},
         )
-    access_token_expires = timedelta(minutes=auth.ACCESS_TOKEN_EXPIRE_MINUTES)
-    access_token = auth.create_access_token(
-        data={"sub": user.email}, expires_delta=access_token_expires
-    )
-    return {"access_token": access_token, "token_type": "bearer"}
+    if not user.is_active:
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail="Email address not verified",
+        )
+    return auth.issue_tokens(db, user)
+
+
+@app.post("/token/refresh", response_model=schemas.Token)
+def refresh_access_token(request: schemas.TokenRefreshRequest, db: Session = Depends(auth.get_db)):
+    return auth.rotate_refresh_token(db, request.refresh_token)
+
+
+@app.post("/logout", status_code=status.HTTP_204_NO_CONTENT)
+def logout(
+    request: schemas.LogoutRequest,
+    token: Optional[str] = Depends(auth.optional_oauth2_scheme),
+    db: Session = Depends(auth.get_db),
+):
+    """
+    Ends the session server-side: the access token goes on the revocation
+    list and the refresh token can no longer be used. Works with an expired
+    access token too, so the client can always log out.
+    """
+    payload = auth.decode_access_token(token) if token else None
+    if payload is not None:
+        auth.revoke_access_token(db, payload)
+    if request.refresh_token:
+        stored = auth.get_refresh_token(db, request.refresh_token)
+        if stored is not None and stored.revoked_at is None:
+            stored.revoked_at = datetime.utcnow()
+            db.commit()
+
+
+@app.post("/verify_email", response_model=schemas.UserRead)
+def verify_email(request: schemas.EmailTokenRequest, db: Session = Depends(auth.get_db)):
+    """
+    Activates the account. Opening the link again after it worked still
+    succeeds instead of reporting an invalid link.
+    """
+    stored = auth.get_user_token(db, request.token, "verify_email")
+    if stored is not None and stored.used_at is not None:
+        user = db.query(user_model.User).filter(user_model.User.id == stored.user_id).first()
+        if user is not None and user.is_active:
+            return user
+    user = auth.consume_user_token(db, request.token, "verify_email")
+    user.is_active = True
+    db.commit()
+    db.refresh(user)
+    return user
+
+
+# The email endpoints below answer the same whether or not the address
+# belongs to an account, so they can't be used to look up users
+
+@app.post("/verify_email/resend", status_code=status.HTTP_202_ACCEPTED)
+def resend_verification_email(request: schemas.EmailRequest, db: Session = Depends(auth.get_db)):
+    user = auth.get_user_by_email(db, request.email)
+    if user and not user.is_active:
+        try:
+            mailer.send_verification_mail(user, auth.create_user_token(db, user, "verify_email"))
+        except Exception as e:
+            # same answer as for an unknown address, so it can't be probed
+            print(f"Sending the verification mail to {user.email} failed: {e}")
+    return {"detail": "If the account exists and is not verified yet, a new link is on its way"}
+
+
+@app.post("/password_reset", status_code=status.HTTP_202_ACCEPTED)
+def request_password_reset(request: schemas.EmailRequest, db: Session = Depends(auth.get_db)):
+    user = auth.get_user_by_email(db, request.email)
+    if user:
+        try:
+            mailer.send_password_reset_mail(user, auth.create_user_token(db, user, "reset_password"))
+        except Exception as e:
+            # same answer as for an unknown address, so it can't be probed
+            print(f"Sending the password reset mail to {user.email} failed: {e}")
+    return {"detail": "If the account exists, a reset link is on its way"}
+
+
+@app.post("/password_reset/confirm", status_code=status.HTTP_204_NO_CONTENT)
+def confirm_password_reset(request: schemas.PasswordResetConfirm, db: Session = Depends(auth.get_db)):
+    user = auth.consume_user_token(db, request.token, "reset_password")
+    try:
+        user.hashed_password = auth.get_password_hash(request.new_password)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    db.commit()
+    # sessions started with the old password end
+    auth.revoke_refresh_tokens(db, user.id)
 
 
 @app.get("/users/me", response_model=schemas.UserRead)
 def read_users_me(current_user: user_model.User = Depends(auth.get_current_user)):
     return current_user
 
+
+@app.patch("/users/me", response_model=schemas.UserRead)
+def update_users_me(
+    update: schemas.UserUpdate,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Renames the user or changes their email / password. A new email only
+    takes effect once confirmed through the link sent to it (see
+    /confirm_email_change). A new password ends all sessions, like a reset.
+    """
+    changes_credentials = update.email not in (None, current_user.email) or update.new_password
+    if changes_credentials and not (
+        update.current_password and auth.verify_password(update.current_password, current_user.hashed_password)
+    ):
+        raise HTTPException(status_code=403, detail="Current password is incorrect")
+
+    if update.name is not None:
+        if not update.name.strip():
+            raise HTTPException(status_code=400, detail="Name cannot be empty")
+        current_user.name = update.name.strip()
+
+    email_change_token = None
+    if update.email is not None and update.email != current_user.email:
+        if auth.get_user_by_email(db, update.email):
+            raise HTTPException(status_code=400, detail="Email already registered")
+        current_user.pending_email = update.email
+        email_change_token = auth.create_user_token(db, current_user, "change_email")
+
+    if update.new_password:
+        try:
+            current_user.hashed_password = auth.get_password_hash(update.new_password)
+        except ValueError as e:
+            raise HTTPException(status_code=400, detail=str(e))
+
+    db.commit()
+    if update.new_password:
+        auth.revoke_refresh_tokens(db, current_user.id)
+    if email_change_token:
+        try:
+            mailer.send_email_change_mail(current_user, current_user.pending_email, email_change_token)
+        except Exception as e:
+            # saving the email again sends a new link
+            print(f"Sending the email change mail to {current_user.pending_email} failed: {e}")
+    db.refresh(current_user)
+    return current_user
+
+@app.post("/confirm_email_change", response_model=schemas.UserRead)
+def confirm_email_change(request: schemas.EmailTokenRequest, db: Session = Depends(auth.get_db)):
+    """
+    Switches the account to its pending email. The email is the subject of
+    the access token, so signed-in clients renew their token afterwards.
+    """
+    user = auth.consume_user_token(db, request.token, "change_email")
+    if not user.pending_email:
+        raise HTTPException(status_code=400, detail="This link is invalid or has expired")
+    if auth.get_user_by_email(db, user.pending_email):
+        raise HTTPException(status_code=400, detail="Email already registered")
+    user.email = user.pending_email
+    user.pending_email = None
+    db.commit()
+    db.refresh(user)
+    return user
+
+
+# Tables with rows owned by a user, removed together with the account
+USER_OWNED_MODELS = [
+    user_model.HistoryEvent,
+    user_model.ParkingReport,
+    user_model.SavedPlace,
+    user_model.RefreshToken,
+    user_model.UserToken,
+]
+
+@app.delete("/users/me", status_code=status.HTTP_204_NO_CONTENT)
+def delete_users_me(
+    request: schemas.UserDelete,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Deletes the account and everything stored about it. Asks for the
+    password so a stolen session can't wipe the account.
+    """
+    if not auth.verify_password(request.password, current_user.hashed_password):
+        raise HTTPException(status_code=403, detail="Password is incorrect")
+
+    for model in USER_OWNED_MODELS:
+        db.query(model).filter(model.user_id == current_user.id).delete()
+    db.delete(current_user)
+    db.commit()
+
+
+# Trip columns of the CSV export, in order
+HISTORY_EXPORT_COLUMNS = [
+    "id",
+    "parking_id",
+    "timestamp",
+    "status",
+    "saved_time",
+    "search_time",
+    "baseline_search_time",
+    "actual_search_time",
+    "arrived_at",
+    "parked_at",
+]
+
+@app.get("/users/me/export")
+def export_users_me(
+    format: str = Query("json", pattern="^(json|csv)$"),
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Everything stored about the user as a JSON download, or their trips as
+    a CSV download.
+    """
+    trips = (
+        db.query(user_model.HistoryEvent)
+        .filter(user_model.HistoryEvent.user_id == current_user.id)
+        .order_by(user_model.HistoryEvent.timestamp)
+        .all()
+    )
+    filename = f"parkest-export-{datetime.utcnow():%Y%m%d}"
+
+    if format == "csv":
+        out = io.StringIO()
+        writer = csv.writer(out)
+        writer.writerow(HISTORY_EXPORT_COLUMNS)
+        for trip in trips:
+            writer.writerow([
+                value.isoformat() if isinstance(value, datetime) else value
+                for value in (getattr(trip, column) for column in HISTORY_EXPORT_COLUMNS)
+            ])
+        return Response(
+            content=out.getvalue(),
+            media_type="text/csv",
+            headers={"Content-Disposition": f'attachment; filename="{filename}.csv"'},
+        )
+
+    def owned(model, schema):
+        rows = db.query(model).filter(model.user_id == current_user.id).all()
+        return [schema.model_validate(row).model_dump(mode="json") for row in rows]
+
+    data = {
+        "user": schemas.UserRead.model_validate(current_user).model_dump(mode="json"),
+        "history": [schemas.HistoryEventRead.model_validate(trip).model_dump(mode="json") for trip in trips],
+        "saved_places": owned(user_model.SavedPlace, schemas.SavedPlaceRead),
+        "parking_reports": owned(user_model.ParkingReport, schemas.ParkingReportRead),
+        "exported_at": datetime.utcnow().isoformat(),
+    }
+    return Response(
+        content=json.dumps(data, indent=2),
+        media_type="application/json",
+        headers={"Content-Disposition": f'attachment; filename="{filename}.json"'},
+    )
+
+@app.get("/users/me/stats", response_model=schemas.UserStats)
+def read_users_me_stats(
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Aggregates the current user's history: totals, rolling 7/30-day
+    windows, average search times and a per-weekday breakdown in
+    PARKING_TIMEZONE. Cancelled trips are left out.
+    """
+    now = datetime.utcnow()
+    params = {
+        "user_id": current_user.id,
+        "week_ago": now - timedelta(days=7),
+        "month_ago": now - timedelta(days=30),
+        "timezone": PARKING_TIMEZONE.key,
+        # measured minutes on the scale of the predictions, like
+        # search_time_from_measured
+        "factor": FACTOR,
+        "fixed_search_time": FIXED_SEARCH_TIME,
+        "time_per_spot": TIME_PER_SPOT,
+    }
+
+    totals = db.execute(text("""
+        SELECT
+            COUNT(*) AS trips,
+            COALESCE(SUM(saved_time), 0) AS total_saved,
+            COUNT(*) FILTER (WHERE timestamp >= :week_ago) AS week_trips,
+            COALESCE(SUM(saved_time) FILTER (WHERE timestamp >= :week_ago), 0) AS week_saved,
+            COALESCE(SUM(saved_time) FILTER (WHERE timestamp >= :month_ago), 0) AS month_saved,
+            AVG(saved_time) AS avg_saved,
+            AVG(baseline_search_time) AS avg_search_before,
+            AVG(COALESCE(
+                :factor * (GREATEST(actual_search_time, :time_per_spot) + :fixed_search_time),
+                search_time
+            )) AS avg_search_now
+        FROM history
+        WHERE user_id = :user_id AND status <> 'cancelled';
+    """), params).one()
+
+    weekdays = db.execute(text("""
+        SELECT
+            -- timestamps are stored as naive UTC
+            EXTRACT(ISODOW FROM (timestamp AT TIME ZONE 'UTC') AT TIME ZONE :timezone)::int - 1 AS weekday,
+            COUNT(*) AS trips,
+            COALESCE(SUM(saved_time), 0) AS saved
+        FROM history
+        WHERE user_id = :user_id AND status <> 'cancelled'
+        GROUP BY weekday;
+    """), params).fetchall()
+    by_weekday = {row.weekday: row for row in weekdays}
+
+    def optional_float(value):
+        return float(value) if value is not None else None
+
+    return {
+        "trips_tracked": totals.trips,
+        "total_time_saved_minutes": float(totals.total_saved),
+        "last_week_trips": totals.week_trips,
+        "last_week_time_saved_minutes": float(totals.week_saved),
+        "last_30_days_time_saved_minutes": float(totals.month_saved),
+        "avg_time_saved_per_trip_minutes": optional_float(totals.avg_saved),
+        "avg_parking_search_before_minutes": optional_float(totals.avg_search_before),
+        "avg_parking_search_now_minutes": optional_float(totals.avg_search_now),
+        "by_weekday": [
+            {
+                "weekday": day,
+                "trips": by_weekday[day].trips if day in by_weekday else 0,
+                "saved_time_minutes": float(by_weekday[day].saved) if day in by_weekday else 0.0,
+            }
+            for day in range(7)
+        ],
+    }
+
 @app.get("/parking")
 def read_parking(location: str, db: Session = Depends(auth.get_db)):
     if not location:
@@ -84,47 +442,181 @@ def read_parking(location: str, db: Session = Depends(auth.get_db)):
     parking_spots = db.query(user_model.Parking).filter(user_model.Parking.address.contains(location)).all()
     return parking_spots
 
+# Filter categories offered to clients, mapped to the parkregel_gruppe
+# values of the Munich open data. Garages are matched on parking_type.
+REGULATION_CATEGORIES = {
+    "mixed": ["Mischparken", "Mischparken mit Parkscheibe"],
+    "resident": ["Bewohnerparken"],
+    "short_term": ["Kurzzeitparken"],
+    "ev": ["E-Parken"],
+    "disabled": ["Behindertenparken"],
+}
+GARAGE_CATEGORY = "garage"
+
+MAX_RADIUS_M = 5000
+MAX_NEAREST_LIMIT = 100
+
+# Cursors are opaque to clients: the (distance_m, id) of the last row served
+def encode_nearest_cursor(distance_m: float, parking_id: str) -> str:
+    raw = json.dumps([distance_m, parking_id]).encode("utf-8")
+    return base64.urlsafe_b64encode(raw).decode("ascii")
+
+def decode_nearest_cursor(cursor: str):
+    try:
+        distance_m, parking_id = json.loads(base64.urlsafe_b64decode(cursor.encode("ascii")))
+        return float(distance_m), str(parking_id)
+    except (ValueError, TypeError):
+        raise HTTPException(status_code=400, detail="Invalid cursor")
+
+@app.get("/parking/{parking_id}/forecast")
+def read_parking_forecast(parking_id: str, db: Session = Depends(auth.get_db)):
+    """
+    Returns the predicted 24-hour occupancy and search-time curve of a spot
+    for workdays (WT), Saturdays (SA) and Sundays (SO).
+    """
+    spot = db.query(user_model.Parking).filter(user_model.Parking.id == parking_id).first()
+    if not spot:
+        raise HTTPException(status_code=404, detail="Parking spot not found")
+
+    return {
+        "parking_id": spot.id,
+        "model_version": estimator.version,
+        "curves": estimator.forecast(
+            total_capacity=float(spot.capacity),
+            latitude=spot.latitude,
+            longitude=spot.longitude,
+        ),
+    }
+
+# A second report by the same user within this window replaces the first
+REPORT_COOLDOWN_MIN = 5
+
+@app.post(
+    "/parking/{parking_id}/reports",
+    response_model=schemas.ParkingReportRead,
+    status_code=status.HTTP_201_CREATED,
+)
+def create_parking_report(
+    parking_id: str,
+    report_in: schemas.ParkingReportCreate,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Records that a spot is currently free or full, as seen by the user.
+    """
+    spot = db.query(user_model.Parking).filter(user_model.Parking.id == parking_id).first()
+    if not spot:
+        raise HTTPException(status_code=404, detail="Parking spot not found")
+
+    now = datetime.utcnow()
+    report = (
+        db.query(user_model.ParkingReport)
+        .filter(
+            user_model.ParkingReport.user_id == current_user.id,
+            user_model.ParkingReport.parking_id == parking_id,
+            user_model.ParkingReport.timestamp >= now - timedelta(minutes=REPORT_COOLDOWN_MIN),
+        )
+        .first()
+    )
+    if report:
+        report.status = report_in.status
+        report.timestamp = now
+    else:
+        report = user_model.ParkingReport(
+            user_id=current_user.id,
+            parking_id=parking_id,
+            status=report_in.status,
+            timestamp=now,
+        )
+        db.add(report)
+
+    db.commit()
+    db.refresh(report)
+    return report
+
 @app.get("/nearest")
 def read_nearest(
     latitude: float,
     longitude: float,
-    radius_m: float = 500,        # radius in meters
+    radius_m: float = Query(500, gt=0, le=MAX_RADIUS_M),        # radius in meters
+    limit: int = Query(20, ge=1, le=MAX_NEAREST_LIMIT),
+    cursor: Optional[str] = None,
+    category: Optional[List[str]] = Query(None),
     db: Session = Depends(auth.get_db)
 ):
     """
     Returns the nearest parking spots within the specified radius.
     Uses PostGIS geography-based distance queries.
+    Optionally restricted to the given categories (e.g. garage, mixed).
+    Results are paged by distance; pass next_cursor back to get the next page.
     """
 
+    categories = category or []
+    unknown = [c for c in categories if c != GARAGE_CATEGORY and c not in REGULATION_CATEGORIES]
+    if unknown:
+        raise HTTPException(status_code=400, detail=f"Unknown parking category: {', '.join(unknown)}")
+
+    regulations = [
+        regulation
+        for c in categories if c in REGULATION_CATEGORIES
+        for regulation in REGULATION_CATEGORIES[c]
+    ]
+
+    cursor_distance, cursor_id = decode_nearest_cursor(cursor) if cursor else (0.0, "")
+
     sql = text("""
-        SELECT
-            id,
-            address,
-            capacity,
-            latitude,
-            longitude,
-            parking_type,
-            ST_Distance(
+        SELECT * FROM (
+            SELECT
+                id,
+                address,
+                capacity,
+                latitude,
+                longitude,
+                parking_type,
+                regulation,
+                ST_Distance(
+                    geom,
+                    ST_SetSRID(ST_MakePoint(:lon, :lat), 4326)::geography
+                ) AS distance_m
+            FROM parking
+            WHERE ST_DWithin(
                 geom,
-                ST_SetSRID(ST_MakePoint(:lon, :lat), 4326)::geography
-            ) AS distance_m
-        FROM parking
-        WHERE ST_DWithin(
-            geom,
-            ST_SetSRID(ST_MakePoint(:lon, :lat), 4326)::geography,
-            :radius
-        )
-        ORDER BY distance_m
-        LIMIT 20;
+                ST_SetSRID(ST_MakePoint(:lon, :lat), 4326)::geography,
+                :radius
+            )
+            AND (
+                :no_filter
+                OR regulation = ANY(CAST(:regulations AS TEXT[]))
+                OR (:include_garages AND parking_type = 'Parkhaus')
+            )
+        ) AS nearby
+        WHERE :no_cursor OR (distance_m, id) > (:cursor_distance, :cursor_id)
+        ORDER BY distance_m, id
+        LIMIT :limit;
     """)
 
     results = db.execute(sql, {
         "lat": latitude,
         "lon": longitude,
-        "radius": radius_m
+        "radius": radius_m,
+        "no_filter": not categories,
+        "regulations": regulations,
+        "include_garages": GARAGE_CATEGORY in categories,
+        "no_cursor": cursor is None,
+        "cursor_distance": cursor_distance,
+        "cursor_id": cursor_id,
+        # one extra row tells us whether another page exists
+        "limit": limit + 1
     }).fetchall()
 
-    return [
+    page = results[:limit]
+    next_cursor = None
+    if len(results) > limit:
+        last = page[-1]
+        next_cursor = encode_nearest_cursor(float(last.distance_m), last.id)
+
+    results = [
         {
             "id": row.id,
             "address": row.address,
@@ -132,10 +624,171 @@ def read_nearest(
             "latitude": row.latitude,
             "longitude": row.longitude,
             "parking_type": row.parking_type,
+            "regulation": row.regulation,
             "distance_m": float(row.distance_m)
         }
+        for row in page
+    ]
+
+    return {"results": results, "next_cursor": next_cursor}
+
+# Upper bound on curb segments returned for one bounding box
+MAX_SEGMENTS = 2000
+
+@app.get("/segments")
+def read_segments(
+    min_lat: float,
+    min_lng: float,
+    max_lat: float,
+    max_lng: float,
+    planned_time: Optional[datetime] = None,
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Returns street parking segments inside the bounding box as a GeoJSON
+    FeatureCollection, each with its predicted search time.
+    """
+
+    sql = text("""
+        SELECT
+            id,
+            address,
+            capacity,
+            latitude,
+            longitude,
+            parking_type,
+            ST_AsGeoJSON(segment) AS geometry
+        FROM parking
+        WHERE segment IS NOT NULL
+          AND segment && ST_MakeEnvelope(:min_lng, :min_lat, :max_lng, :max_lat, 4326)::geography
+        LIMIT :limit;
+    """)
+
+    results = db.execute(sql, {
+        "min_lat": min_lat,
+        "min_lng": min_lng,
+        "max_lat": max_lat,
+        "max_lng": max_lng,
+        "limit": MAX_SEGMENTS
+    }).fetchall()
+
+    hour, day_type = get_hour_and_day_initial(planned_time)
+    minutes = estimator.predict_search_times([
+        {
+            "day_type": day_type,
+            "hour": hour,
+            "total_capacity": float(row.capacity),
+            "latitude": row.latitude,
+            "longitude": row.longitude,
+        }
+        for row in results
+    ])
+
+    return {
+        "type": "FeatureCollection",
+        "features": [
+            {
+                "type": "Feature",
+                "id": row.id,
+                "geometry": json.loads(row.geometry),
+                "properties": {
+                    "address": row.address,
+                    "capacity": float(row.capacity),
+                    "parking_type": row.parking_type,
+                    "estimated_search_time_minutes": value,
+                },
+            }
+            for row, value in zip(results, minutes)
+        ]
+    }
+
+MAX_HEATMAP_GRID = 50
+
+@app.get("/heatmap")
+def read_heatmap(
+    min_lat: float,
+    min_lng: float,
+    max_lat: float,
+    max_lng: float,
+    grid_size: int = Query(20, ge=1, le=MAX_HEATMAP_GRID),
+    planned_time: Optional[datetime] = None,
+    hour: Optional[int] = Query(None, ge=0, le=23),
+    day_type: Optional[str] = None,
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Returns a grid of predicted search times over the bounding box.
+    Each cell with parking is predicted at its center from the average
+    capacity of the spots inside; cells without parking are left out.
+    hour / day_type override the ones derived from planned_time (or now).
+    """
+    if max_lat <= min_lat or max_lng <= min_lng:
+        raise HTTPException(status_code=400, detail="Invalid bounding box")
+    if day_type is not None and day_type not in DAY_TYPES:
+        raise HTTPException(status_code=400, detail=f"day_type must be one of {', '.join(DAY_TYPES)}")
+
+    current_hour, current_day_type = get_hour_and_day_initial(planned_time)
+    hour = current_hour if hour is None else hour
+    day_type = day_type or current_day_type
+
+    cell_lat = (max_lat - min_lat) / grid_size
+    cell_lng = (max_lng - min_lng) / grid_size
+
+    sql = text("""
+        SELECT
+            LEAST(FLOOR((latitude - :min_lat) / :cell_lat), :last)::int AS row_idx,
+            LEAST(FLOOR((longitude - :min_lng) / :cell_lng), :last)::int AS col_idx,
+            AVG(capacity) AS capacity,
+            COUNT(*) AS spots
+        FROM parking
+        WHERE latitude BETWEEN :min_lat AND :max_lat
+          AND longitude BETWEEN :min_lng AND :max_lng
+        GROUP BY row_idx, col_idx;
+    """)
+
+    results = db.execute(sql, {
+        "min_lat": min_lat,
+        "min_lng": min_lng,
+        "max_lat": max_lat,
+        "max_lng": max_lng,
+        "cell_lat": cell_lat,
+        "cell_lng": cell_lng,
+        "last": grid_size - 1
+    }).fetchall()
+
+    cells = [
+        {
+            "row": row.row_idx,
+            "col": row.col_idx,
+            "latitude": min_lat + (row.row_idx + 0.5) * cell_lat,
+            "longitude": min_lng + (row.col_idx + 0.5) * cell_lng,
+            "capacity": float(row.capacity),
+            "spots": row.spots,
+        }
         for row in results
     ]
+    minutes = estimator.predict_search_times([
+        {
+            "day_type": day_type,
+            "hour": hour,
+            "total_capacity": cell["capacity"],
+            "latitude": cell["latitude"],
+            "longitude": cell["longitude"],
+        }
+        for cell in cells
+    ])
+
+    return {
+        "hour": hour,
+        "day_type": day_type,
+        "model_version": estimator.version,
+        "cell_lat": cell_lat,
+        "cell_lng": cell_lng,
+        "cells": [
+            {**cell, "estimated_search_time_minutes": value}
+            for cell, value in zip(cells, minutes)
+        ]
+    }
 
 @app.post("/history", response_model=schemas.HistoryEventRead, status_code=status.HTTP_201_CREATED)
 def create_history_event(
@@ -146,7 +799,9 @@ def create_history_event(
     event = user_model.HistoryEvent(
         user_id=current_user.id,
         parking_id=event_in.parking_id,
-        saved_time=event_in.saved_time
+        saved_time=event_in.saved_time,
+        search_time=event_in.search_time,
+        baseline_search_time=event_in.baseline_search_time
     )
 
     # add event to DB
@@ -159,11 +814,356 @@ def create_history_event(
     db.commit()
     return event
 
-def get_current_hour_and_day_initial():
-    now = datetime.now()
-    hour_24 = now.hour
+# Guest trips accepted by one import
+MAX_IMPORT_TRIPS = 500
+# Longest arrival-to-parked time a trip may have measured
+MAX_MEASURED_SEARCH_MINUTES = 120
+
+def imported_trip_fields(trip: schemas.HistoryImportItem, now: datetime):
+    """
+    History fields of a finished guest trip, or None when its times don't
+    add up. Like update_trip_progress, the saved time compares the average
+    prediction with the measured search, or with the chosen spot's
+    prediction when the arrival was never noticed; cancelled trips save
+    nothing.
+    """
+    # device clocks can be ahead
+    timestamp = min(to_naive_utc(trip.timestamp), now)
+    arrived_at = to_naive_utc(trip.arrived_at) if trip.arrived_at else None
+    parked_at = to_naive_utc(trip.parked_at) if trip.parked_at else None
+    for moment in (arrived_at, parked_at):
+        if moment is not None and not timestamp <= moment <= now:
+            return None
+
+    fields = {
+        "timestamp": timestamp,
+        "arrived_at": arrived_at,
+        "parked_at": parked_at,
+        "actual_search_time": None,
+        "saved_time": 0.0,
+    }
+    if trip.status == "cancelled":
+        return fields
+    if parked_at is None:
+        return None
+
+    searched = trip.search_time
+    if arrived_at is not None:
+        measured = (parked_at - arrived_at).total_seconds() / 60
+        if not 0 <= measured <= MAX_MEASURED_SEARCH_MINUTES:
+            return None
+        fields["actual_search_time"] = measured
+        searched = search_time_from_measured(measured)
+    if trip.baseline_search_time is not None and searched is not None:
+        fields["saved_time"] = trip.baseline_search_time - searched
+    return fields
+
+@app.post("/history/import", response_model=schemas.HistoryImportResult)
+def import_history(
+    request: schemas.HistoryImportRequest,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Adds finished trips recorded in guest mode to the account once the
+    visitor signs up or logs in. Trips that were imported before, belong to
+    unknown parking spots or have inconsistent times are skipped.
+    """
+    if len(request.trips) > MAX_IMPORT_TRIPS:
+        raise HTTPException(status_code=400, detail=f"At most {MAX_IMPORT_TRIPS} trips can be imported at once")
+
+    parking_ids = {trip.parking_id for trip in request.trips}
+    known_ids = {
+        row.id
+        for row in db.query(user_model.Parking.id).filter(user_model.Parking.id.in_(parking_ids))
+    } if parking_ids else set()
+    client_ids = {trip.client_id for trip in request.trips}
+    seen_ids = {
+        row.client_id
+        for row in db.query(user_model.HistoryEvent.client_id).filter(
+            user_model.HistoryEvent.user_id == current_user.id,
+            user_model.HistoryEvent.client_id.in_(client_ids),
+        )
+    } if client_ids else set()
+
+    now = datetime.utcnow()
+    imported = 0
+    for trip in request.trips:
+        if trip.parking_id not in known_ids or trip.client_id in seen_ids:
+            continue
+        fields = imported_trip_fields(trip, now)
+        if fields is None:
+            continue
+        seen_ids.add(trip.client_id)
+        db.add(
+            user_model.HistoryEvent(
+                user_id=current_user.id,
+                parking_id=trip.parking_id,
+                search_time=trip.search_time,
+                baseline_search_time=trip.baseline_search_time,
+                status=trip.status,
+                client_id=trip.client_id,
+                imported=True,
+                **fields,
+            )
+        )
+        current_user.saved_time = (current_user.saved_time or 0) + fields["saved_time"]
+        imported += 1
+
+    try:
+        db.commit()
+    except IntegrityError:
+        # a concurrent import of the same trips got there first
+        db.rollback()
+        db.refresh(current_user)
+        return {"imported": 0, "saved_time": current_user.saved_time or 0}
+    return {"imported": imported, "saved_time": current_user.saved_time or 0}
+
+MAX_HISTORY_LIMIT = 100
+
+@app.get("/history", response_model=schemas.HistoryPage)
+def read_history(
+    limit: int = Query(20, ge=1, le=MAX_HISTORY_LIMIT),
+    offset: int = Query(0, ge=0),
+    date_from: Optional[datetime] = None,
+    date_to: Optional[datetime] = None,
+    parking_type: Optional[str] = None,
+    address: Optional[str] = None,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Returns the current user's trips, newest first, with the address and
+    type of the parking spot. Filterable by date range, type and address.
+    """
+    query = (
+        db.query(user_model.HistoryEvent, user_model.Parking)
+        .outerjoin(user_model.Parking, user_model.Parking.id == user_model.HistoryEvent.parking_id)
+        .filter(user_model.HistoryEvent.user_id == current_user.id)
+    )
+    if date_from:
+        query = query.filter(user_model.HistoryEvent.timestamp >= date_from)
+    if date_to:
+        query = query.filter(user_model.HistoryEvent.timestamp <= date_to)
+    if parking_type:
+        query = query.filter(user_model.Parking.parking_type == parking_type)
+    if address:
+        query = query.filter(user_model.Parking.address.ilike(f"%{address}%"))
+
+    total = query.count()
+    rows = (
+        query.order_by(user_model.HistoryEvent.timestamp.desc(), user_model.HistoryEvent.id.desc())
+        .offset(offset)
+        .limit(limit)
+        .all()
+    )
+
+    return {
+        "items": [
+            {
+                "id": event.id,
+                "parking_id": event.parking_id,
+                "saved_time": event.saved_time,
+                "timestamp": event.timestamp,
+                "status": event.status,
+                "actual_search_time": event.actual_search_time,
+                "address": parking.address if parking else None,
+                "parking_type": parking.parking_type if parking else None,
+                "regulation": parking.regulation if parking else None,
+            }
+            for event, parking in rows
+        ],
+        "total": total,
+        "limit": limit,
+        "offset": offset,
+    }
+
+# Allowed lifecycle steps: started -> arrived -> parked, or cancelled early
+TRIP_TRANSITIONS = {
+    "started": {"arrived", "parked", "cancelled"},
+    "arrived": {"parked", "cancelled"},
+}
+
+def to_naive_utc(moment: datetime) -> datetime:
+    # timestamps are stored as naive UTC, like the column defaults
+    if moment.tzinfo is not None:
+        moment = moment.astimezone(timezone.utc).replace(tzinfo=None)
+    return moment
+
+@app.patch("/history/{event_id}", response_model=schemas.HistoryEventRead)
+def update_trip_progress(
+    event_id: int,
+    update: schemas.TripProgressUpdate,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Moves a tracked trip along its lifecycle. Once parked after arriving,
+    the measured search time replaces the prediction in the saved time; a
+    cancelled trip saves nothing.
+    """
+    event = (
+        db.query(user_model.HistoryEvent)
+        .filter(user_model.HistoryEvent.id == event_id, user_model.HistoryEvent.user_id == current_user.id)
+        .first()
+    )
+    if not event:
+        raise HTTPException(status_code=404, detail="Trip not found")
+    if update.status not in TRIP_TRANSITIONS.get(event.status, set()):
+        raise HTTPException(
+            status_code=409,
+            detail=f"Cannot mark a {event.status} trip as {update.status}",
+        )
+
+    # the device's time can't be before the previous milestone or in the future
+    now = datetime.utcnow()
+    at = to_naive_utc(update.at) if update.at else now
+    at = min(max(at, event.arrived_at or event.timestamp), now)
+    event.status = update.status
+
+    if update.status == "arrived":
+        event.arrived_at = at
+    elif update.status == "cancelled":
+        current_user.saved_time = (current_user.saved_time or 0) - event.saved_time
+        event.saved_time = 0
+    elif update.status == "parked":
+        event.parked_at = at
+        if event.arrived_at is not None:
+            measured = (at - event.arrived_at).total_seconds() / 60
+            if measured > MAX_MEASURED_SEARCH_MINUTES:
+                raise HTTPException(
+                    status_code=400,
+                    detail=f"A search can take at most {MAX_MEASURED_SEARCH_MINUTES} minutes",
+                )
+            event.actual_search_time = measured
+            if event.baseline_search_time is not None:
+                # honest saved time: average predicted search minus measured
+                # search, on the scale of the predictions
+                new_saved = event.baseline_search_time - search_time_from_measured(measured)
+                current_user.saved_time = (current_user.saved_time or 0) + new_saved - event.saved_time
+                event.saved_time = new_saved
+
+    db.commit()
+    db.refresh(event)
+    return event
+
+@app.delete("/history/{event_id}", status_code=status.HTTP_204_NO_CONTENT)
+def delete_history_event(
+    event_id: int,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    event = (
+        db.query(user_model.HistoryEvent)
+        .filter(user_model.HistoryEvent.id == event_id, user_model.HistoryEvent.user_id == current_user.id)
+        .first()
+    )
+    if not event:
+        raise HTTPException(status_code=404, detail="Trip not found")
+
+    # the trip no longer counts towards the user's total saved time
+    current_user.saved_time = (current_user.saved_time or 0) - event.saved_time
+    db.delete(event)
+    db.commit()
+
+# Kinds a user has at most one of
+SINGLE_PLACE_KINDS = {"home", "work"}
+
+@app.get("/saved_places", response_model=List[schemas.SavedPlaceRead])
+def read_saved_places(
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    The user's saved destinations and parking spots; home and work first.
+    """
+    places = (
+        db.query(user_model.SavedPlace)
+        .filter(user_model.SavedPlace.user_id == current_user.id)
+        .order_by(user_model.SavedPlace.created_at)
+        .all()
+    )
+    kind_order = {"home": 0, "work": 1, "favorite": 2, "parking": 3}
+    return sorted(places, key=lambda place: kind_order.get(place.kind, len(kind_order)))
+
+@app.post("/saved_places", response_model=schemas.SavedPlaceRead, status_code=status.HTTP_201_CREATED)
+def create_saved_place(
+    place_in: schemas.SavedPlaceCreate,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Saves a destination, or a favorite parking spot (kind "parking").
+    Saving home or work again moves it.
+    """
+    if place_in.kind == "parking":
+        if not place_in.parking_id:
+            raise HTTPException(status_code=400, detail="parking_id is required for parking spots")
+        spot = db.query(user_model.Parking).filter(user_model.Parking.id == place_in.parking_id).first()
+        if not spot:
+            raise HTTPException(status_code=404, detail="Parking spot not found")
+    elif place_in.parking_id:
+        raise HTTPException(status_code=400, detail="parking_id is only allowed for parking spots")
+
+    existing = None
+    if place_in.kind in SINGLE_PLACE_KINDS or place_in.kind == "parking":
+        query = db.query(user_model.SavedPlace).filter(
+            user_model.SavedPlace.user_id == current_user.id,
+            user_model.SavedPlace.kind == place_in.kind,
+        )
+        if place_in.kind == "parking":
+            query = query.filter(user_model.SavedPlace.parking_id == place_in.parking_id)
+        existing = query.first()
+
+    if existing:
+        for field, value in place_in.model_dump().items():
+            setattr(existing, field, value)
+        place = existing
+    else:
+        place = user_model.SavedPlace(user_id=current_user.id, **place_in.model_dump())
+        db.add(place)
 
-    weekday_idx = now.weekday()
+    db.commit()
+    db.refresh(place)
+    return place
+
+@app.delete("/saved_places/{place_id}", status_code=status.HTTP_204_NO_CONTENT)
+def delete_saved_place(
+    place_id: int,
+    current_user: user_model.User = Depends(auth.get_current_user),
+    db: Session = Depends(auth.get_db)
+):
+    place = (
+        db.query(user_model.SavedPlace)
+        .filter(
+            user_model.SavedPlace.id == place_id,
+            user_model.SavedPlace.user_id == current_user.id,
+        )
+        .first()
+    )
+    if not place:
+        raise HTTPException(status_code=404, detail="Saved place not found")
+
+    db.delete(place)
+    db.commit()
+
+# Local time of the parking data; "leave now", planned trips and stored
+# trips and reports are all read as hour / day type in this zone
+PARKING_TIMEZONE = ZoneInfo(os.getenv("PARKING_TIMEZONE", "Europe/Berlin"))
+
+def get_hour_and_day_initial(moment: Optional[datetime] = None):
+    """
+    Hour and day type of a moment in PARKING_TIMEZONE. Naive moments are
+    UTC, like the timestamps stored in the database.
+    """
+    if moment is None:
+        moment = datetime.now(timezone.utc)
+    elif moment.tzinfo is None:
+        moment = moment.replace(tzinfo=timezone.utc)
+    moment = moment.astimezone(PARKING_TIMEZONE)
+    hour_24 = moment.hour
+
+    weekday_idx = moment.weekday()
     if weekday_idx < 5:
         day_initial = "WT"
     elif weekday_idx == 5:
@@ -173,24 +1173,268 @@ def get_current_hour_and_day_initial():
     
     return hour_24, day_initial
 
+# Occupancy a "free" / "full" report stands for; "free" sits well below the
+# typical model prediction so a free report shortens the estimate
+REPORTED_OCCUPANCY = {"free": 0.2, "full": 0.98}
+# A report loses half its weight every REPORT_HALF_LIFE_MIN minutes and is
+# ignored once older than REPORT_MAX_AGE_MIN
+REPORT_HALF_LIFE_MIN = 15
+REPORT_MAX_AGE_MIN = 90
+# Weight of the model estimate; one fresh report outweighs it two to one
+MODEL_WEIGHT = 0.5
+
+def load_recent_reports(db: Session, parking_ids: List[str]):
+    """
+    Recent reports per spot id, newest first.
+    """
+    if not parking_ids:
+        return {}
+    since = datetime.utcnow() - timedelta(minutes=REPORT_MAX_AGE_MIN)
+    reports = (
+        db.query(user_model.ParkingReport)
+        .filter(
+            user_model.ParkingReport.parking_id.in_(parking_ids),
+            user_model.ParkingReport.timestamp >= since,
+        )
+        .order_by(user_model.ParkingReport.timestamp.desc())
+        .all()
+    )
+    by_spot = {}
+    for report in reports:
+        by_spot.setdefault(report.parking_id, []).append(report)
+    return by_spot
+
+def blend_with_reports(minutes: float, total_capacity: float, reports) -> float:
+    """
+    Weighted mean of the model estimate and the search times the reports
+    stand for, each report weighted by its age. A "free" report never makes
+    the estimate longer, nor a "full" one shorter.
+    """
+    now = datetime.utcnow()
+    weighted_sum = MODEL_WEIGHT * minutes
+    total_weight = MODEL_WEIGHT
+    for report in reports:
+        age_min = max(0.0, (now - report.timestamp).total_seconds() / 60)
+        weight = math.pow(0.5, age_min / REPORT_HALF_LIFE_MIN)
+        reported_minutes = search_time_from_occupancy(
+            REPORTED_OCCUPANCY[report.status], total_capacity
+        )
+        if report.status == "free":
+            reported_minutes = min(reported_minutes, minutes)
+        else:
+            reported_minutes = max(reported_minutes, minutes)
+        weighted_sum += weight * reported_minutes
+        total_weight += weight
+    return weighted_sum / total_weight
+
+ESTIMATE_KEYS = {
+    "median": "estimated_search_time_minutes",
+    "low": "search_time_low_minutes",
+    "high": "search_time_high_minutes",
+}
+
+def to_estimate(search_range: dict) -> dict:
+    return {key: search_range[part] for part, key in ESTIMATE_KEYS.items()}
+
+def apply_reports(estimate: dict, total_capacity: float, reports) -> dict:
+    """
+    Blends the reports into an estimate's median and bounds and adds the
+    newest report to it.
+    """
+    if not reports:
+        return estimate
+    return {
+        **estimate,
+        **{
+            key: blend_with_reports(estimate[key], total_capacity, reports)
+            for key in ESTIMATE_KEYS.values()
+        },
+        "last_report_status": reports[0].status,
+        "last_report_at": reports[0].timestamp,
+    }
+
 @app.post("/estimate_search_time")
 def estimate_search_time(
-    input: schemas.EstimateSearchTimeRequest
+    input: schemas.EstimateSearchTimeRequest,
+    db: Session = Depends(auth.get_db)
 ):
     """
     Estimate parking search time based on input features.
+    Returns the median estimate with a low / high range.
+    Uses the requested planned time if given, otherwise the current time.
+    Recent reports of the spot are blended in when estimating for now.
     """
-    hour, day_type = get_current_hour_and_day_initial()
+    hour, day_type = get_hour_and_day_initial(input.planned_time)
 
-    
+    [search_range] = estimator.predict_search_time_ranges([{
+        "day_type": day_type,
+        "hour": hour,
+        "total_capacity": input.total_capacity,
+        "latitude": input.latitude,
+        "longitude": input.longitude,
+    }])
+    estimate = {**to_estimate(search_range), "model_version": estimator.version}
 
-    
+    # reports describe the spot right now, not at a planned time
+    if input.parking_id and input.planned_time is None:
+        reports = load_recent_reports(db, [input.parking_id]).get(input.parking_id)
+        estimate = apply_reports(estimate, input.total_capacity, reports)
+    return estimate
+
+
+@app.post("/estimate_search_time/batch", response_model=schemas.EstimateSearchTimeBatchResponse)
+def estimate_search_time_batch(
+    input: schemas.EstimateSearchTimeBatchRequest,
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Estimate parking search time ranges for many spots in one batch.
+    Estimates are returned in the same order as the requested spots.
+    """
+    hour, day_type = get_hour_and_day_initial(input.planned_time)
+
+    rows = [
+        {
+            "day_type": day_type,
+            "hour": hour,
+            "total_capacity": spot.total_capacity,
+            "latitude": spot.latitude,
+            "longitude": spot.longitude,
+        }
+        for spot in input.spots
+    ]
+    search_ranges = estimator.predict_search_time_ranges(rows)
+
+    # reports describe the spots right now, not at a planned time
+    reports_by_spot = {}
+    if input.planned_time is None:
+        reports_by_spot = load_recent_reports(
+            db, [spot.id for spot in input.spots if spot.id]
+        )
+
+    return {
+        "estimates": [
+            apply_reports(
+                {"id": spot.id, **to_estimate(search_range)},
+                spot.total_capacity,
+                reports_by_spot.get(spot.id),
+            )
+            for spot, search_range in zip(input.spots, search_ranges)
+        ],
+        "model_version": estimator.version,
+    }
+
+
+def history_training_rows(db: Session):
+    """
+    Trips with a measured search time, as occupancy training rows. Trips
+    imported from guest mode were never checked by the server and are left
+    out.
+    """
+    rows = db.execute(text("""
+        SELECT h.arrived_at, h.actual_search_time,
+               p.capacity, p.latitude, p.longitude
+        FROM history h
+        JOIN parking p ON p.id = h.parking_id
+        WHERE h.status = 'parked' AND h.actual_search_time IS NOT NULL
+          AND NOT h.imported
+    """)).fetchall()
+
+    training_rows = []
+    for row in rows:
+        hour, day_type = get_hour_and_day_initial(row.arrived_at)
+        training_rows.append({
+            "day_type": day_type,
+            "hour": hour,
+            "total_capacity": float(row.capacity),
+            "latitude": row.latitude,
+            "longitude": row.longitude,
+            "occupancy_rate": occupancy_from_search_time(
+                search_time_from_measured(float(row.actual_search_time))
+            ),
+        })
+    return training_rows
+
+def report_training_rows(db: Session):
+    """
+    "free" / "full" reports, as occupancy training rows.
+    """
+    rows = db.execute(text("""
+        SELECT r.timestamp, r.status, p.capacity, p.latitude, p.longitude
+        FROM parking_reports r
+        JOIN parking p ON p.id = r.parking_id
+    """)).fetchall()
+
+    training_rows = []
+    for row in rows:
+        hour, day_type = get_hour_and_day_initial(row.timestamp)
+        training_rows.append({
+            "day_type": day_type,
+            "hour": hour,
+            "total_capacity": float(row.capacity),
+            "latitude": row.latitude,
+            "longitude": row.longitude,
+            "occupancy_rate": REPORTED_OCCUPANCY[row.status],
+        })
+    return training_rows
+
+def to_model_version(metadata: dict):
+    return {**metadata, "active": metadata["version"] == estimator.version}
+
+@app.get("/admin/models", response_model=List[schemas.ModelVersion])
+def list_models(admin: user_model.User = Depends(auth.get_current_admin)):
+    """
+    All stored model versions, newest first.
+    """
+    return [to_model_version(metadata) for metadata in model_store.list_versions()]
+
+@app.post("/admin/models/retrain", response_model=schemas.ModelVersion, status_code=status.HTTP_201_CREATED)
+def retrain_model(
+    input: schemas.ModelRetrainRequest,
+    admin: user_model.User = Depends(auth.get_current_admin),
+    db: Session = Depends(auth.get_db)
+):
+    """
+    Trains a new model version on the base data plus the collected trips
+    and reports, and serves it unless activate is false.
+    """
+    global estimator
+
+    frames = [pd.read_csv(BASE_TRAINING_CSV)[COLUMNS]]
+    sources = ["base"]
+    if input.include_history:
+        frames.append(pd.DataFrame(history_training_rows(db), columns=COLUMNS))
+        sources.append("history")
+    if input.include_reports:
+        frames.append(pd.DataFrame(report_training_rows(db), columns=COLUMNS))
+        sources.append("reports")
+    df = pd.concat(frames, ignore_index=True)
+
+    new_estimator = ParkingCapacityEstimator.from_frame(df)
+    version = model_store.save(
+        new_estimator,
+        {"training_rows": len(df), "sources": sources},
+        activate=input.activate,
+    )
+    if input.activate:
+        estimator = new_estimator
+
+    return to_model_version(model_store.metadata(version))
+
+@app.post("/admin/models/{version}/activate", response_model=schemas.ModelVersion)
+def activate_model(
+    version: str,
+    admin: user_model.User = Depends(auth.get_current_admin)
+):
+    """
+    Serves a stored version, e.g. to roll back a retrained model.
+    """
+    global estimator
+
+    if not model_store.exists(version):
+        raise HTTPException(status_code=404, detail="Model version not found")
+    estimator = model_store.load(version)
+    model_store.activate(version)
+
+    return to_model_version(model_store.metadata(version))
 
-    return {"estimated_search_time_minutes": estimator.predict_search_time(
-        day_type=day_type,
-        hour=hour,
-        total_capacity=input.total_capacity,
-        latitude=input.latitude,
-        longitude=input.longitude
-    ) + random.uniform(-2, 2)
-    }
\ No newline at end of file
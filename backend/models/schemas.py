@@ -1,16 +1,29 @@
-from pydantic import BaseModel, EmailStr
-from typing import Optional
+from pydantic import BaseModel, EmailStr, Field
+from typing import List, Literal, Optional
 from datetime import datetime
 
 
 class UserCreate(BaseModel):
     email: EmailStr
     password: str
-    name: str
+    # users.name is VARCHAR(100)
+    name: str = Field(..., max_length=100)
+
+class UserUpdate(BaseModel):
+    name: Optional[str] = Field(None, max_length=100)
+    email: Optional[EmailStr] = None
+    new_password: Optional[str] = None
+    # required to change the email or password
+    current_password: Optional[str] = None
+
+class UserDelete(BaseModel):
+    password: str
 
 class UserRead(BaseModel):
     id: int
     email: EmailStr
+    # set while an email change waits for confirmation
+    pending_email: Optional[EmailStr] = None
     name: str
     saved_time: Optional[float]
     is_active: bool
@@ -26,6 +39,7 @@ class ParkingRead(BaseModel):
     latitude: float
     longitude: float
     parking_type: str
+    regulation: Optional[str] = None
 
     class Config:
         from_attributes = True
@@ -33,12 +47,115 @@ class ParkingRead(BaseModel):
 class HistoryEventCreate(BaseModel):
     parking_id: str
     saved_time: float
+    # predicted search time at the chosen spot and the average of all candidates
+    search_time: Optional[float] = None
+    baseline_search_time: Optional[float] = None
 
 class HistoryEventRead(BaseModel):
     id: int
     user_id: int
     parking_id: str
     saved_time: float
+    search_time: Optional[float] = None
+    baseline_search_time: Optional[float] = None
+    status: str
+    arrived_at: Optional[datetime] = None
+    parked_at: Optional[datetime] = None
+    actual_search_time: Optional[float] = None
+    timestamp: datetime
+
+    class Config:
+        from_attributes = True
+
+class HistoryImportItem(BaseModel):
+    # the trip's id on the device; importing it again is a no-op
+    client_id: str = Field(..., min_length=1, max_length=64)
+    parking_id: str
+    # predicted search minutes, bounded since they come from the device
+    search_time: Optional[float] = Field(None, ge=0, le=120)
+    baseline_search_time: Optional[float] = Field(None, ge=0, le=120)
+    # only finished trips are imported; saved and actual search times are
+    # derived from these on the server
+    status: Literal["parked", "cancelled"]
+    arrived_at: Optional[datetime] = None
+    parked_at: Optional[datetime] = None
+    timestamp: datetime
+
+class HistoryImportRequest(BaseModel):
+    trips: List[HistoryImportItem]
+
+class HistoryImportResult(BaseModel):
+    imported: int
+    # the user's total saved time after the import
+    saved_time: float
+
+class TripProgressUpdate(BaseModel):
+    status: Literal["arrived", "parked", "cancelled"]
+    # when it happened on the device; defaults to the time of the request
+    at: Optional[datetime] = None
+
+class HistoryItem(BaseModel):
+    id: int
+    parking_id: str
+    saved_time: float
+    timestamp: datetime
+    status: str
+    actual_search_time: Optional[float] = None
+    address: Optional[str] = None
+    parking_type: Optional[str] = None
+    regulation: Optional[str] = None
+
+class HistoryPage(BaseModel):
+    items: List[HistoryItem]
+    total: int
+    limit: int
+    offset: int
+
+class SavedPlaceCreate(BaseModel):
+    # home and work exist at most once per user, saving again replaces them
+    kind: Literal["home", "work", "favorite", "parking"]
+    name: str = Field(..., min_length=1, max_length=100)
+    address: Optional[str] = None
+    latitude: float
+    longitude: float
+    parking_id: Optional[str] = None
+
+class SavedPlaceRead(BaseModel):
+    id: int
+    kind: str
+    name: str
+    address: Optional[str] = None
+    latitude: float
+    longitude: float
+    parking_id: Optional[str] = None
+    created_at: datetime
+
+    class Config:
+        from_attributes = True
+
+class WeekdayStats(BaseModel):
+    weekday: int  # 0 = Monday … 6 = Sunday
+    trips: int
+    saved_time_minutes: float
+
+class UserStats(BaseModel):
+    trips_tracked: int
+    total_time_saved_minutes: float
+    last_week_trips: int
+    last_week_time_saved_minutes: float
+    last_30_days_time_saved_minutes: float
+    avg_time_saved_per_trip_minutes: Optional[float] = None
+    avg_parking_search_before_minutes: Optional[float] = None
+    avg_parking_search_now_minutes: Optional[float] = None
+    by_weekday: List[WeekdayStats]
+
+class ParkingReportCreate(BaseModel):
+    status: Literal["free", "full"]
+
+class ParkingReportRead(BaseModel):
+    id: int
+    parking_id: str
+    status: str
     timestamp: datetime
 
     class Config:
@@ -48,11 +165,74 @@ class EstimateSearchTimeRequest(BaseModel):
     total_capacity: int
     latitude: float
     longitude: float
+    # moment the user plans to park at, with a UTC offset (e.g.
+    # "2026-05-01T16:30:00Z"); times without one are read as UTC and every
+    # time is converted to PARKING_TIMEZONE. Defaults to now.
+    planned_time: Optional[datetime] = None
+    # lets recent user reports of this spot be blended in
+    parking_id: Optional[str] = None
+
+class EstimateSpot(BaseModel):
+    id: Optional[str] = None
+    total_capacity: int
+    latitude: float
+    longitude: float
+
+class EstimateSearchTimeBatchRequest(BaseModel):
+    spots: List[EstimateSpot] = Field(..., max_length=1000)
+    # same format as EstimateSearchTimeRequest.planned_time
+    planned_time: Optional[datetime] = None
+
+class SpotEstimate(BaseModel):
+    id: Optional[str] = None
+    # median of the forest's trees, with the 10th / 90th percentile as range
+    estimated_search_time_minutes: float
+    search_time_low_minutes: float
+    search_time_high_minutes: float
+    last_report_status: Optional[str] = None
+    last_report_at: Optional[datetime] = None
+
+class EstimateSearchTimeBatchResponse(BaseModel):
+    estimates: List[SpotEstimate]
+    model_version: Optional[str] = None
+
+class ModelRetrainRequest(BaseModel):
+    # extra training rows on top of the base occupancy data
+    include_history: bool = True
+    include_reports: bool = True
+    # serve the new model right away; otherwise activate it later
+    activate: bool = True
+
+class ModelVersion(BaseModel):
+    version: str
+    trained_at: datetime
+    training_rows: int
+    sources: List[str]
+    active: bool = False
 
 
 class Token(BaseModel):
     access_token: str
+    refresh_token: str
     token_type: str
+    # lifetime of the access token in seconds
+    expires_in: int
+
+class TokenRefreshRequest(BaseModel):
+    refresh_token: str
+
+class LogoutRequest(BaseModel):
+    refresh_token: Optional[str] = None
+
+class EmailRequest(BaseModel):
+    email: EmailStr
+
+class EmailTokenRequest(BaseModel):
+    token: str
+
+class PasswordResetConfirm(BaseModel):
+    token: str
+    new_password: str
 
 
 class TokenData(BaseModel):
@@ -1,4 +1,4 @@
-from sqlalchemy import Column, Integer, String, Boolean, DateTime, Float
+from sqlalchemy import Column, Integer, String, Boolean, DateTime, Float, UniqueConstraint
 from datetime import datetime
 from .database import Base
 
@@ -10,8 +10,11 @@ class User(Base):
     name = Column(String, nullable=False)
     saved_time = Column(Float, nullable=True)
     email = Column(String, unique=True, index=True, nullable=False)
+    # new address waiting for confirmation through the emailed link
+    pending_email = Column(String, nullable=True)
     hashed_password = Column(String, nullable=False)
     is_active = Column(Boolean, default=True)
+    is_admin = Column(Boolean, default=False)
     created_at = Column(DateTime, default=datetime.utcnow)
 
 class Parking(Base):
@@ -23,6 +26,7 @@ class Parking(Base):
     latitude = Column(Float, nullable=False)
     longitude = Column(Float, nullable=False)
     parking_type = Column(String, nullable=False)
+    regulation = Column(String, nullable=True)
 
 class HistoryEvent(Base):
     __tablename__ = "history"
@@ -31,4 +35,66 @@ class HistoryEvent(Base):
     user_id = Column(Integer, nullable=False)
     parking_id = Column(String, nullable=False)
     saved_time = Column(Float, nullable=False)
+    search_time = Column(Float, nullable=True)
+    baseline_search_time = Column(Float, nullable=True)
+    status = Column(String, nullable=False, default="started")
+    arrived_at = Column(DateTime, nullable=True)
+    parked_at = Column(DateTime, nullable=True)
+    actual_search_time = Column(Float, nullable=True)
     timestamp = Column(DateTime, default=datetime.utcnow)
+    # id the trip had on the device it was recorded on as a guest
+    client_id = Column(String, nullable=True)
+    # imported trips were measured on an unverified device and are kept out
+    # of model training
+    imported = Column(Boolean, default=False)
+
+    __table_args__ = (UniqueConstraint("user_id", "client_id"),)
+
+class ParkingReport(Base):
+    __tablename__ = "parking_reports"
+
+    id = Column(Integer, primary_key=True, index=True)
+    user_id = Column(Integer, nullable=False)
+    parking_id = Column(String, nullable=False)
+    status = Column(String, nullable=False)
+    timestamp = Column(DateTime, default=datetime.utcnow)
+
+class SavedPlace(Base):
+    __tablename__ = "saved_places"
+
+    id = Column(Integer, primary_key=True, index=True)
+    user_id = Column(Integer, nullable=False)
+    kind = Column(String, nullable=False)
+    name = Column(String, nullable=False)
+    address = Column(String, nullable=True)
+    latitude = Column(Float, nullable=False)
+    longitude = Column(Float, nullable=False)
+    parking_id = Column(String, nullable=True)
+    created_at = Column(DateTime, default=datetime.utcnow)
+
+class RefreshToken(Base):
+    __tablename__ = "refresh_tokens"
+
+    id = Column(Integer, primary_key=True, index=True)
+    user_id = Column(Integer, nullable=False)
+    token_hash = Column(String, unique=True, nullable=False)
+    expires_at = Column(DateTime, nullable=False)
+    revoked_at = Column(DateTime, nullable=True)
+    created_at = Column(DateTime, default=datetime.utcnow)
+
+class RevokedToken(Base):
+    __tablename__ = "revoked_tokens"
+
+    jti = Column(String, primary_key=True)
+    expires_at = Column(DateTime, nullable=False)
+
+class UserToken(Base):
+    __tablename__ = "user_tokens"
+
+    id = Column(Integer, primary_key=True, index=True)
+    user_id = Column(Integer, nullable=False)
+    purpose = Column(String, nullable=False)
+    token_hash = Column(String, unique=True, nullable=False)
+    expires_at = Column(DateTime, nullable=False)
+    used_at = Column(DateTime, nullable=True)
+    created_at = Column(DateTime, default=datetime.utcnow)
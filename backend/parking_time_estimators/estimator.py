@@ -1,3 +1,4 @@
+import joblib
 import pandas as pd
 import numpy as np
 from sklearn.ensemble import RandomForestRegressor
@@ -10,34 +11,96 @@ TIME_PER_SPOT = 1.2
 TIME_PENALTY = 10
 FACTOR = 2
 
+DAY_TYPES = ["WT", "SA", "SO"]
+
+COLUMNS = ["day_type", "hour", "total_capacity", "latitude", "longitude", "occupancy_rate"]
+
+# Percentiles of the per-tree predictions reported as the estimate range
+RANGE_PERCENTILES = (10, 50, 90)
+
+FEATURES = [
+    "day_type",
+    "total_capacity",
+    "latitude",
+    "longitude",
+    "hour_sin",
+    "hour_cos",
+]
+
+
+def search_time_from_occupancy(p_occupied, total_capacity):
+    p_free = 1 - p_occupied
+
+    if p_free < 1e-3:
+        expected_spots = total_capacity * 2
+    else:
+        expected_spots = 1 / p_free
+    total_time = expected_spots * TIME_PER_SPOT + FIXED_SEARCH_TIME
+    if p_free < 0.05:
+        total_time += TIME_PENALTY
+
+    return 2 * total_time
+
+
+def search_time_from_measured(minutes):
+    """
+    Search time on the scale of search_time_from_occupancy for a measured
+    arrival-to-parked time, which only covers cruising for a spot
+    (expected_spots * TIME_PER_SPOT); finding the first spot free counts as
+    one spot.
+    """
+    cruise_time = max(minutes, TIME_PER_SPOT)
+    return FACTOR * (cruise_time + FIXED_SEARCH_TIME)
+
+
+def occupancy_from_search_time(search_time):
+    """
+    Inverse of search_time_from_occupancy, used to turn measured search times
+    into training rows.
+    """
+    cruise_time = search_time / FACTOR - FIXED_SEARCH_TIME
+    if cruise_time <= TIME_PER_SPOT:
+        return 0.0
+
+    # below 5% free spots the search time includes the penalty
+    penalty_from = TIME_PER_SPOT / 0.05
+    if cruise_time >= penalty_from + TIME_PENALTY:
+        p_free = TIME_PER_SPOT / (cruise_time - TIME_PENALTY)
+    else:
+        p_free = TIME_PER_SPOT / min(cruise_time, penalty_from)
+    return 1 - p_free
+
 
 class ParkingCapacityEstimator:
-    def __init__(self, csv_path):
+    def __init__(self, csv_path=None, model=None, version=None):
         self.csv_path = csv_path
-        self.model = None
+        self.model = model
+        self.version = version
         self.preprocessor = None
 
-        self._load_and_train()
+        if self.model is None and self.csv_path is not None:
+            self._load_and_train()
+
+    @classmethod
+    def from_frame(cls, df):
+        estimator = cls()
+        estimator.fit(df)
+        return estimator
 
     def _load_and_train(self):
-        df = pd.read_csv(self.csv_path)
+        self.fit(pd.read_csv(self.csv_path))
 
-        features = ["day_type", "hour", "total_capacity", "latitude", "longitude"]
+    def fit(self, df):
+        """
+        Trains a fresh model on a frame with the COLUMNS above.
+        """
+        df = df.copy()
         target = "occupancy_rate"
 
         df["hour_sin"] = np.sin(2 * np.pi * df["hour"] / 24)
         df["hour_cos"] = np.cos(2 * np.pi * df["hour"] / 24)
 
-        features = [
-            "day_type",
-            "total_capacity",
-            "latitude",
-            "longitude",
-            "hour_sin",
-            "hour_cos",
-        ]
-
-        X = df[features]
+        X = df[FEATURES]
         y = df[target]
 
         self.preprocessor = ColumnTransformer(
@@ -64,39 +127,125 @@ class ParkingCapacityEstimator:
         )
         self.model.fit(X, y)
 
+    def save(self, path):
+        joblib.dump({"model": self.model, "version": self.version}, path)
+
+    @classmethod
+    def load(cls, path):
+        stored = joblib.load(path)
+        return cls(model=stored["model"], version=stored["version"])
+
     def predict(self, day_type, hour, total_capacity, latitude, longitude):
-        hour_sin = np.sin(2 * np.pi * hour / 24)
-        hour_cos = np.cos(2 * np.pi * hour / 24)
+        return float(
+            self.predict_many(
+                [
+                    {
+                        "day_type": day_type,
+                        "hour": hour,
+                        "total_capacity": total_capacity,
+                        "latitude": latitude,
+                        "longitude": longitude,
+                    }
+                ]
+            )[0]
+        )
 
-        X_new = pd.DataFrame(
-            [
-                {
-                    "day_type": day_type,
-                    "total_capacity": total_capacity,
-                    "latitude": latitude,
-                    "longitude": longitude,
-                    "hour_sin": hour_sin,
-                    "hour_cos": hour_cos,
-                }
-            ]
+    def _predict_per_tree(self, rows):
+        """
+        Occupancy of every row according to each tree of the forest, shape
+        (n_trees, len(rows)).
+        """
+        X_new = pd.DataFrame(rows)
+        X_new["hour_sin"] = np.sin(2 * np.pi * X_new["hour"] / 24)
+        X_new["hour_cos"] = np.cos(2 * np.pi * X_new["hour"] / 24)
+
+        X_encoded = self.model.named_steps["preprocessor"].transform(X_new[FEATURES])
+        return np.stack(
+            [tree.predict(X_encoded) for tree in self.model.named_steps["regressor"].estimators_]
         )
 
-        return float(self.model.predict(X_new)[0])
+    def predict_many(self, rows):
+        """
+        Vectorised occupancy prediction for many spots at once: the median of
+        the trees, the same central value predict_many_ranges reports.
+        rows: list of dicts with day_type, hour, total_capacity, latitude, longitude
+        """
+        if not rows:
+            return np.array([])
+
+        return np.median(self._predict_per_tree(rows), axis=0)
+
+    def predict_many_ranges(self, rows):
+        """
+        Low / median / high occupancy per row, taken from the spread of the
+        forest's individual trees. Returns an array of shape (len(rows), 3).
+        """
+        if not rows:
+            return np.empty((0, 3))
+
+        return np.percentile(self._predict_per_tree(rows), RANGE_PERCENTILES, axis=0).T
+
+    def predict_search_time_ranges(self, rows):
+        """
+        Search time range in minutes for every row:
+        [{"low": ..., "median": ..., "high": ...}, ...]
+        Search time grows with occupancy, so the occupancy percentiles map
+        straight onto search time percentiles.
+        """
+        ranges = self.predict_many_ranges(rows)
+
+        return [
+            {
+                key: search_time_from_occupancy(float(p), row["total_capacity"])
+                for key, p in zip(("low", "median", "high"), occupancy)
+            }
+            for occupancy, row in zip(ranges, rows)
+        ]
 
     def predict_search_time(self, day_type, hour, total_capacity, latitude, longitude):
         p_occupied = self.predict(day_type, hour, total_capacity, latitude, longitude)
 
-        p_free = 1 - p_occupied
+        return search_time_from_occupancy(p_occupied, total_capacity)
 
-        if p_free < 1e-3:
-            expected_spots = total_capacity * 2
-        else:
-            expected_spots = 1 / p_free
-        total_time = expected_spots * TIME_PER_SPOT + FIXED_SEARCH_TIME
-        if p_free < 0.05:
-            total_time += TIME_PENALTY
+    def predict_search_times(self, rows):
+        """Search time in minutes for every row, in a single model call."""
+        p_occupied = self.predict_many(rows)
 
-        return 2 * total_time
+        return [
+            search_time_from_occupancy(float(p), row["total_capacity"])
+            for p, row in zip(p_occupied, rows)
+        ]
+
+    def forecast(self, total_capacity, latitude, longitude, day_types=DAY_TYPES):
+        """
+        Hourly occupancy and search time for every day type, in one model call.
+        Returns {day_type: [{hour, occupancy_rate, search_time_minutes}, ...]}.
+        """
+        rows = [
+            {
+                "day_type": day_type,
+                "hour": hour,
+                "total_capacity": total_capacity,
+                "latitude": latitude,
+                "longitude": longitude,
+            }
+            for day_type in day_types
+            for hour in range(24)
+        ]
+        p_occupied = self.predict_many(rows)
+
+        curves = {day_type: [] for day_type in day_types}
+        for row, p in zip(rows, p_occupied):
+            curves[row["day_type"]].append(
+                {
+                    "hour": row["hour"],
+                    "occupancy_rate": float(p),
+                    "search_time_minutes": search_time_from_occupancy(
+                        float(p), total_capacity
+                    ),
+                }
+            )
+        return curves
 
 
 if __name__ == "__main__":
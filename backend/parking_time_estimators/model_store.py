@@ -0,0 +1,98 @@
+import json
+import os
+from datetime import datetime
+
+from .estimator import ParkingCapacityEstimator
+
+ACTIVE_FILE = "active.json"
+
+
+class ModelStore:
+    """
+    Trained estimators on disk, one <version>.joblib file each with a
+    <version>.json metadata file next to it. active.json names the version
+    that is served, so rolling back is switching that pointer.
+    """
+
+    def __init__(self, directory):
+        self.directory = directory
+        os.makedirs(self.directory, exist_ok=True)
+
+    def _path(self, name):
+        return os.path.join(self.directory, name)
+
+    def new_version(self):
+        """
+        Claims an unused version id by creating its model file; ids from the
+        same second get a -2, -3, ... suffix.
+        """
+        base = datetime.utcnow().strftime("v%Y%m%d-%H%M%S")
+        suffix = 1
+        while True:
+            version = base if suffix == 1 else f"{base}-{suffix}"
+            try:
+                with open(self._path(f"{version}.joblib"), "x"):
+                    return version
+            except FileExistsError:
+                suffix += 1
+
+    def save(self, estimator, metadata, activate=False):
+        """
+        Stores the estimator under a new version id and returns that id.
+        """
+        version = self.new_version()
+        estimator.version = version
+        estimator.save(self._path(f"{version}.joblib"))
+
+        with open(self._path(f"{version}.json"), "w") as f:
+            json.dump(
+                {**metadata, "version": version, "trained_at": datetime.utcnow().isoformat()},
+                f,
+            )
+
+        if activate:
+            self.activate(version)
+        return version
+
+    def list_versions(self):
+        """
+        Metadata of every stored version, newest first.
+        """
+        versions = [
+            self.metadata(name[: -len(".json")])
+            for name in os.listdir(self.directory)
+            if name.endswith(".json") and name != ACTIVE_FILE
+        ]
+        return sorted(versions, key=lambda v: v["version"], reverse=True)
+
+    def metadata(self, version):
+        with open(self._path(f"{version}.json")) as f:
+            return json.load(f)
+
+    def exists(self, version):
+        return os.path.exists(self._path(f"{version}.joblib"))
+
+    def active_version(self):
+        try:
+            with open(self._path(ACTIVE_FILE)) as f:
+                return json.load(f)["version"]
+        except FileNotFoundError:
+            return None
+
+    def activate(self, version):
+        if not self.exists(version):
+            raise KeyError(version)
+        with open(self._path(ACTIVE_FILE), "w") as f:
+            json.dump({"version": version}, f)
+
+    def load(self, version):
+        return ParkingCapacityEstimator.load(self._path(f"{version}.joblib"))
+
+    def load_active(self):
+        """
+        The served estimator, or None if nothing has been stored yet.
+        """
+        version = self.active_version()
+        if version is None or not self.exists(version):
+            return None
+        return self.load(version)
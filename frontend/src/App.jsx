@@ -4,44 +4,71 @@ import LandingPage from "./pages/LandingPage.jsx";
 import AuthPage from "./pages/AuthPage.jsx";
 import ProfilePage from "./pages/ProfilePage.jsx";
 import MapPage from "./pages/MapPage.jsx";
-
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:8000";
+import HistoryPage from "./pages/HistoryPage.jsx";
+import {
+  api,
+  getAuthToken,
+  hasStoredSession,
+  logout,
+  refreshSession,
+  setUnauthorizedHandler,
+} from "./services/api";
+import { importGuestHistory } from "./services/guesthistory";
 
 function App() {
   const [user, setUser] = useState(null);
-  const [loadingUser, setLoadingUser] = useState(true); // while we check localStorage token
+  const [loadingUser, setLoadingUser] = useState(true); // while we renew the stored session
+
+  // Trips recorded in guest mode move into the account that logs in
+  const mergeGuestHistory = async () => {
+    try {
+      const savedTime = await importGuestHistory();
+      if (savedTime != null) {
+        setUser((prev) => (prev ? { ...prev, saved_time: savedTime } : prev));
+      }
+    } catch (err) {
+      // the trips stay on the device and are retried on the next login
+      console.error("Failed to import guest trips", err);
+    }
+  };
+
+  // The session tokens are kept by the API client
+  const handleLogin = (userData) => {
+    setUser(userData);
+    mergeGuestHistory();
+  };
 
-  // On first load, try to restore session from localStorage
+  const handleLogout = () => {
+    setUser(null);
+    logout();
+  };
+
+  // A session that can no longer be renewed (expired / revoked refresh
+  // token) logs out
   useEffect(() => {
-    const token = localStorage.getItem("authToken");
-    if (!token) {
+    setUnauthorizedHandler(() => setUser(null));
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  // On first load, silently renew the stored session and fetch the user
+  useEffect(() => {
+    if (!hasStoredSession()) {
       setLoadingUser(false);
       return;
     }
 
-    // Validate token + fetch current user
     (async () => {
       try {
-        const res = await fetch(`${API_BASE_URL}/users/me`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
+        await refreshSession();
+        const userData = await api.get("/users/me");
+        setUser({
+          ...userData,
+          token: getAuthToken(),
         });
-
-        if (!res.ok) {
-          // token invalid / expired
-          localStorage.removeItem("authToken");
-          setUser(null);
-        } else {
-          const userData = await res.json();
-          setUser({
-            ...userData,
-            token,
-          });
-        }
+        mergeGuestHistory();
       } catch (err) {
-        console.error("Failed to restore user from token", err);
-        localStorage.removeItem("authToken");
+        // refresh token expired / revoked, or the backend is unreachable
+        console.error("Failed to restore the session", err);
         setUser(null);
       } finally {
         setLoadingUser(false);
@@ -49,19 +76,6 @@ function App() {
     })();
   }, []);
 
-  const handleLogin = (userData) => {
-    // Persist token
-    if (userData.token) {
-      localStorage.setItem("authToken", userData.token);
-    }
-    setUser(userData);
-  };
-
-  const handleLogout = () => {
-    localStorage.removeItem("authToken");
-    setUser(null);
-  };
-
   // While we’re checking the token, show a simple loading screen
   if (loadingUser) {
     return (
@@ -86,24 +100,34 @@ function App() {
         {/* Auth page: on success, goes to /map */}
         <Route path="/auth" element={<AuthPage onLogin={handleLogin} />} />
 
-        {/* Main app page after login */}
+        {/* Main app page; visitors without an account use it as guests */}
         <Route
           path="/map"
+          element={<MapPage user={user} onUserUpdate={setUser} />}
+        />
+
+        {/* Profile page reachable from the map */}
+        <Route
+          path="/profile"
           element={
             user ? (
-              <MapPage user={user} onUserUpdate={setUser} />
+              <ProfilePage
+                user={user}
+                onLogout={handleLogout}
+                onUserUpdate={setUser}
+              />
             ) : (
               <Navigate to="/auth" replace />
             )
           }
         />
 
-        {/* Profile page reachable from the map */}
+        {/* Trip history reachable from the profile */}
         <Route
-          path="/profile"
+          path="/history"
           element={
             user ? (
-              <ProfilePage user={user} onLogout={handleLogout} />
+              <HistoryPage user={user} onUserUpdate={setUser} />
             ) : (
               <Navigate to="/auth" replace />
             )
@@ -0,0 +1,300 @@
+import React, { useState } from "react";
+import { api, setSession } from "../services/api";
+
+// Saves a downloaded Blob under the given file name
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Profile, password, data export and account deletion on the profile page
+function AccountSettings({ user, onUserUpdate, onAccountDeleted }) {
+  const [profile, setProfile] = useState({
+    name: user?.name || "",
+    email: user?.email || "",
+    currentPassword: "",
+  });
+  const [passwords, setPasswords] = useState({
+    current: "",
+    next: "",
+    confirm: "",
+  });
+  const [deletePassword, setDeletePassword] = useState("");
+  // { [section]: { type: "error" | "notice", text } }
+  const [messages, setMessages] = useState({});
+  const [busySection, setBusySection] = useState(null);
+
+  const emailChanged = profile.email.trim() !== (user?.email || "");
+
+  // action may resolve with a notice that replaces successText
+  const runAction = async (section, action, successText) => {
+    setBusySection(section);
+    setMessages((prev) => ({ ...prev, [section]: null }));
+    try {
+      const text = (await action()) || successText;
+      if (text) {
+        setMessages((prev) => ({
+          ...prev,
+          [section]: { type: "notice", text },
+        }));
+      }
+    } catch (err) {
+      setMessages((prev) => ({
+        ...prev,
+        [section]: { type: "error", text: err.message || "Something went wrong." },
+      }));
+    } finally {
+      setBusySection(null);
+    }
+  };
+
+  const handleProfileSubmit = (e) => {
+    e.preventDefault();
+    runAction(
+      "profile",
+      async () => {
+        const updated = await api.patch(
+          "/users/me",
+          {
+            name: profile.name,
+            email: emailChanged ? profile.email.trim() : undefined,
+            current_password: emailChanged ? profile.currentPassword : undefined,
+          },
+          { errorMessage: "Could not update your profile." },
+        );
+        // the email itself only changes once the link is confirmed
+        setProfile((prev) => ({
+          ...prev,
+          email: updated.email,
+          currentPassword: "",
+        }));
+        if (typeof onUserUpdate === "function") {
+          onUserUpdate((prev) => (prev ? { ...prev, ...updated } : prev));
+        }
+        if (emailChanged) {
+          return `We sent a link to ${updated.pending_email}. Your email changes once you open it.`;
+        }
+      },
+      "Profile saved.",
+    );
+  };
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+    runAction(
+      "password",
+      async () => {
+        if (!passwords.next) throw new Error("Please enter a new password.");
+        if (passwords.next !== passwords.confirm) {
+          throw new Error("The new passwords don't match.");
+        }
+        await api.patch(
+          "/users/me",
+          {
+            current_password: passwords.current,
+            new_password: passwords.next,
+          },
+          { errorMessage: "Could not change your password." },
+        );
+        setPasswords({ current: "", next: "", confirm: "" });
+
+        // The new password ended every session, this one included
+        const tokens = await api.post("/token", undefined, {
+          form: { username: user.email, password: passwords.next },
+          auth: false,
+          errorMessage: "Password changed, please log in again.",
+        });
+        setSession(tokens);
+        if (typeof onUserUpdate === "function") {
+          onUserUpdate((prev) =>
+            prev ? { ...prev, token: tokens.access_token } : prev,
+          );
+        }
+      },
+      "Password changed. Your other devices were signed out.",
+    );
+  };
+
+  const handleExport = (format) =>
+    runAction("export", async () => {
+      const blob = await api.get("/users/me/export", {
+        query: { format },
+        responseType: "blob",
+        errorMessage: "Could not export your data.",
+      });
+      const day = new Date().toISOString().slice(0, 10).replaceAll("-", "");
+      saveBlob(blob, `parkest-export-${day}.${format}`);
+    });
+
+  const handleDelete = (e) => {
+    e.preventDefault();
+    if (
+      !window.confirm(
+        "Delete your account, trips, saved places and reports for good?",
+      )
+    ) {
+      return;
+    }
+    runAction("delete", async () => {
+      await api.delete("/users/me", {
+        json: { password: deletePassword },
+        errorMessage: "Could not delete your account.",
+      });
+      if (typeof onAccountDeleted === "function") onAccountDeleted();
+    });
+  };
+
+  const renderMessage = (section) => {
+    const message = messages[section];
+    if (!message) return null;
+    return (
+      <p className={message.type === "error" ? "error-text" : "notice-text"}>
+        {message.text}
+      </p>
+    );
+  };
+
+  return (
+    <section className="card profile-card settings-card">
+      <h3 className="card-title profile-card-title">Account settings</h3>
+
+      <form className="form settings-form" onSubmit={handleProfileSubmit}>
+        <p className="stat-label">Profile</p>
+        <input
+          className="input"
+          type="text"
+          placeholder="Name"
+          value={profile.name}
+          onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+        />
+        <input
+          className="input"
+          type="email"
+          placeholder="Email"
+          autoComplete="email"
+          value={profile.email}
+          onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+        />
+        {user?.pending_email && (
+          <p className="settings-hint">
+            Waiting for you to confirm {user.pending_email}.
+          </p>
+        )}
+        {emailChanged && (
+          <input
+            className="input"
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            value={profile.currentPassword}
+            onChange={(e) =>
+              setProfile({ ...profile, currentPassword: e.target.value })
+            }
+          />
+        )}
+        {renderMessage("profile")}
+        <button
+          type="submit"
+          className="btn-primary"
+          disabled={busySection === "profile"}
+        >
+          Save profile
+        </button>
+      </form>
+
+      <form className="form settings-form" onSubmit={handlePasswordSubmit}>
+        <p className="stat-label">Password</p>
+        <input
+          className="input"
+          type="password"
+          placeholder="Current password"
+          autoComplete="current-password"
+          value={passwords.current}
+          onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+        />
+        <input
+          className="input"
+          type="password"
+          placeholder="New password"
+          autoComplete="new-password"
+          value={passwords.next}
+          onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+        />
+        <input
+          className="input"
+          type="password"
+          placeholder="Repeat new password"
+          autoComplete="new-password"
+          value={passwords.confirm}
+          onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+        />
+        {renderMessage("password")}
+        <button
+          type="submit"
+          className="btn-primary"
+          disabled={busySection === "password"}
+        >
+          Change password
+        </button>
+      </form>
+
+      <div className="form settings-form">
+        <p className="stat-label">Your data</p>
+        <p className="settings-hint">
+          Download everything Parkest stores about you, or just your trips as a
+          spreadsheet.
+        </p>
+        <div className="settings-actions">
+          <button
+            type="button"
+            className="btn-ghost"
+            disabled={busySection === "export"}
+            onClick={() => handleExport("json")}
+          >
+            Export all (JSON)
+          </button>
+          <button
+            type="button"
+            className="btn-ghost"
+            disabled={busySection === "export"}
+            onClick={() => handleExport("csv")}
+          >
+            Export trips (CSV)
+          </button>
+        </div>
+        {renderMessage("export")}
+      </div>
+
+      <form className="form settings-form" onSubmit={handleDelete}>
+        <p className="stat-label">Delete account</p>
+        <p className="settings-hint">
+          Removes your account with all trips, saved places and reports. This
+          can&apos;t be undone.
+        </p>
+        <input
+          className="input"
+          type="password"
+          placeholder="Password"
+          autoComplete="current-password"
+          value={deletePassword}
+          onChange={(e) => setDeletePassword(e.target.value)}
+        />
+        {renderMessage("delete")}
+        <button
+          type="submit"
+          className="btn-danger"
+          disabled={!deletePassword || busySection === "delete"}
+        >
+          Delete my account
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default AccountSettings;
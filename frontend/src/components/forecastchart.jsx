@@ -0,0 +1,157 @@
+import React, { useState } from "react";
+
+const DAY_TYPE_LINES = [
+  { key: "WT", label: "Workday", color: "#1d4ed8" },
+  { key: "SA", label: "Saturday", color: "#f97316" },
+  { key: "SO", label: "Sunday", color: "#16a34a" },
+];
+
+const METRICS = {
+  search: {
+    label: "Search time",
+    value: (point) => point.search_time_minutes,
+    format: (v) => `${Math.round(v)} min`,
+  },
+  occupancy: {
+    label: "Occupancy",
+    value: (point) => point.occupancy_rate * 100,
+    format: (v) => `${Math.round(v)}%`,
+  },
+};
+
+const WIDTH = 240;
+const HEIGHT = 80;
+const PADDING = 4;
+
+// ----- 24H FORECAST CHART (WORKDAY VS WEEKEND) -----
+function ForecastChart({ curves, hour }) {
+  const [metric, setMetric] = useState("search");
+  const [currentHour] = useState(() => new Date().getHours());
+  const markedHour = typeof hour === "number" ? hour : currentHour;
+
+  const { value, format } = METRICS[metric];
+  const allValues = DAY_TYPE_LINES.flatMap((line) =>
+    (curves[line.key] || []).map(value),
+  );
+  const maxValue = Math.max(1, ...allValues);
+
+  const x = (h) => PADDING + (h / 23) * (WIDTH - 2 * PADDING);
+  const y = (v) => HEIGHT - PADDING - (v / maxValue) * (HEIGHT - 2 * PADDING);
+
+  return (
+    <div>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "4px",
+        }}
+      >
+        <div
+          style={{
+            fontSize: "11px",
+            textTransform: "uppercase",
+            letterSpacing: "0.07em",
+            color: "#9ca3af",
+            fontWeight: 600,
+          }}
+        >
+          24h forecast
+        </div>
+        <div style={{ display: "flex", gap: "4px" }}>
+          {Object.entries(METRICS).map(([key, option]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setMetric(key)}
+              style={{
+                border: "none",
+                borderRadius: "999px",
+                padding: "2px 8px",
+                fontSize: "11px",
+                fontWeight: 600,
+                cursor: "pointer",
+                backgroundColor: metric === key ? "#1d4ed8" : "#e5e7eb",
+                color: metric === key ? "white" : "#374151",
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        style={{ width: "100%", height: "auto", display: "block" }}
+        role="img"
+        aria-label={`${METRICS[metric].label} by hour, workday vs weekend`}
+      >
+        {/* Hour the trip is planned for (or now) */}
+        <line
+          x1={x(markedHour)}
+          x2={x(markedHour)}
+          y1={0}
+          y2={HEIGHT}
+          stroke="#9ca3af"
+          strokeDasharray="2 2"
+        />
+        {DAY_TYPE_LINES.map((line) => {
+          const points = curves[line.key] || [];
+          if (!points.length) return null;
+          return (
+            <polyline
+              key={line.key}
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              points={points
+                .map((point) => `${x(point.hour)},${y(value(point))}`)
+                .join(" ")}
+            />
+          );
+        })}
+      </svg>
+
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontSize: "10px",
+          color: "#9ca3af",
+        }}
+      >
+        <span>0h</span>
+        <span>6h</span>
+        <span>12h</span>
+        <span>18h</span>
+        <span>23h</span>
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          gap: "10px",
+          flexWrap: "wrap",
+          marginTop: "4px",
+          fontSize: "11px",
+          color: "#6b7280",
+        }}
+      >
+        {DAY_TYPE_LINES.map((line) => {
+          const point = (curves[line.key] || [])[markedHour];
+          return (
+            <span key={line.key}>
+              <span style={{ color: line.color, fontWeight: 700 }}>●</span>{" "}
+              {line.label}
+              {point ? `: ${format(value(point))} at ${markedHour}h` : ""}
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default ForecastChart;
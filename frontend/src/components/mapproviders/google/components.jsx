@@ -0,0 +1,191 @@
+import React, { useCallback, useRef, useState } from "react";
+import {
+  GoogleMap,
+  Autocomplete,
+  Marker,
+  OverlayView,
+  Polyline,
+  Rectangle,
+} from "@react-google-maps/api";
+
+const containerStyle = {
+  width: "100%",
+  height: "100vh",
+};
+
+const hiddenMapStyle = [
+  { featureType: "poi", stylers: [{ visibility: "off" }] },
+  { featureType: "transit", stylers: [{ visibility: "off" }] },
+];
+
+const PIN_PATH =
+  "M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7z";
+
+// Reports the visible area once the map settles after a pan or zoom
+export function BaseMap({ center, zoom, onViewportChange, children }) {
+  const [map, setMap] = useState(null);
+
+  const handleIdle = useCallback(() => {
+    if (!map || typeof onViewportChange !== "function") return;
+    const bounds = map.getBounds();
+    if (!bounds) return;
+    const ne = bounds.getNorthEast();
+    const sw = bounds.getSouthWest();
+    onViewportChange({
+      north: ne.lat(),
+      east: ne.lng(),
+      south: sw.lat(),
+      west: sw.lng(),
+      zoom: map.getZoom(),
+    });
+  }, [map, onViewportChange]);
+
+  return (
+    <GoogleMap
+      mapContainerStyle={containerStyle}
+      center={center}
+      zoom={zoom}
+      onLoad={setMap}
+      onUnmount={() => setMap(null)}
+      onIdle={handleIdle}
+      options={{
+        styles: hiddenMapStyle,
+        mapTypeControl: false,
+        streetViewControl: false,
+        fullscreenControl: false,
+        zoomControl: true,
+      }}
+    >
+      {children}
+    </GoogleMap>
+  );
+}
+
+export function SpotPin({ position, color, opacity, strokeColor, onClick }) {
+  return (
+    <Marker
+      position={position}
+      icon={{
+        path: PIN_PATH,
+        fillColor: color,
+        fillOpacity: opacity,
+        strokeColor,
+        strokeWeight: 1.5,
+        scale: 1.4,
+        // tip of the pin sits on the spot
+        anchor: new window.google.maps.Point(12, 22),
+      }}
+      onClick={onClick}
+    />
+  );
+}
+
+export function UserDot({ position }) {
+  return (
+    <Marker
+      position={position}
+      icon={{
+        path: window.google.maps.SymbolPath.CIRCLE,
+        scale: 6,
+        fillColor: "#2563eb",
+        fillOpacity: 1,
+        strokeColor: "white",
+        strokeWeight: 2,
+      }}
+    />
+  );
+}
+
+export function DestinationPin({ position }) {
+  return <Marker position={position} />;
+}
+
+// HTML content whose top-left corner sits on the position
+export function MapLabel({ position, children }) {
+  return (
+    <OverlayView
+      position={position}
+      mapPaneName={OverlayView.OVERLAY_MOUSE_TARGET}
+    >
+      {children}
+    </OverlayView>
+  );
+}
+
+export function MapLine({ path, color, weight, opacity = 1, dashed = false }) {
+  return (
+    <Polyline
+      path={path}
+      options={
+        dashed
+          ? {
+              strokeOpacity: 0,
+              strokeWeight: weight,
+              clickable: false,
+              icons: [
+                {
+                  icon: {
+                    path: "M 0,-1 0,1",
+                    strokeOpacity: opacity,
+                    strokeColor: color,
+                    scale: weight,
+                  },
+                  offset: "0",
+                  repeat: "14px",
+                },
+              ],
+            }
+          : {
+              strokeColor: color,
+              strokeOpacity: opacity,
+              strokeWeight: weight,
+              clickable: false,
+            }
+      }
+    />
+  );
+}
+
+export function MapArea({ bounds, color, opacity }) {
+  return (
+    <Rectangle
+      bounds={bounds}
+      options={{
+        fillColor: color,
+        fillOpacity: opacity,
+        strokeWeight: 0,
+        clickable: false,
+      }}
+    />
+  );
+}
+
+// Destination input with Places Autocomplete; onPlaceChange gets
+// { lat, lng, label } or null when the text is no longer a picked place
+export function AddressInput({ onPlaceChange, ...inputProps }) {
+  const autocompleteRef = useRef(null);
+
+  const handlePlaceChanged = () => {
+    const place = autocompleteRef.current?.getPlace();
+    if (!place || !place.geometry || !place.geometry.location) {
+      onPlaceChange(null);
+      return;
+    }
+    onPlaceChange({
+      lat: place.geometry.location.lat(),
+      lng: place.geometry.location.lng(),
+      label: place.formatted_address || place.name,
+    });
+  };
+
+  return (
+    <Autocomplete
+      onLoad={(instance) => {
+        autocompleteRef.current = instance;
+      }}
+      onPlaceChanged={handlePlaceChanged}
+    >
+      <input type="text" {...inputProps} />
+    </Autocomplete>
+  );
+}
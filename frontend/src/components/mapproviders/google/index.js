@@ -0,0 +1,69 @@
+import { useJsApiLoader } from "@react-google-maps/api";
+import {
+  BaseMap,
+  SpotPin,
+  UserDot,
+  DestinationPin,
+  MapLabel,
+  MapLine,
+  MapArea,
+  AddressInput,
+} from "./components";
+
+const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
+const libraries = ["places"];
+
+const useMapLoader = () =>
+  useJsApiLoader({
+    googleMapsApiKey: GOOGLE_MAPS_API_KEY,
+    libraries,
+  });
+
+// First match for a free-text address, or null
+const geocode = (query) =>
+  new Promise((resolve, reject) => {
+    new window.google.maps.Geocoder().geocode(
+      { address: query },
+      (results, status) => {
+        if (status === "ZERO_RESULTS") {
+          resolve(null);
+          return;
+        }
+        if (status !== "OK") {
+          reject(new Error(`Geocoding failed: ${status}`));
+          return;
+        }
+        const [first] = results;
+        resolve({
+          lat: first.geometry.location.lat(),
+          lng: first.geometry.location.lng(),
+          label: first.formatted_address,
+        });
+      },
+    );
+  });
+
+const getNavigationUrl = (origin, destination) =>
+  `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(
+    `${origin.lat},${origin.lng}`,
+  )}&destination=${encodeURIComponent(
+    `${destination.lat},${destination.lng}`,
+  )}&travelmode=driving`;
+
+const googleProvider = {
+  name: "google",
+  label: "Google Maps",
+  useMapLoader,
+  BaseMap,
+  SpotPin,
+  UserDot,
+  DestinationPin,
+  MapLabel,
+  MapLine,
+  MapArea,
+  AddressInput,
+  geocode,
+  getNavigationUrl,
+};
+
+export default googleProvider;
@@ -0,0 +1,18 @@
+// Map, markers, routes and address search come from one provider, picked
+// with VITE_MAP_PROVIDER ("google" or "leaflet"). Without it Google Maps is
+// used when an API key is configured and OpenStreetMap otherwise.
+import googleProvider from "./google";
+import leafletProvider from "./leaflet";
+
+const PROVIDERS = {
+  google: googleProvider,
+  leaflet: leafletProvider,
+};
+
+const configuredProvider =
+  import.meta.env.VITE_MAP_PROVIDER ||
+  (import.meta.env.VITE_GOOGLE_MAPS_API_KEY ? "google" : "leaflet");
+
+const mapProvider = PROVIDERS[configuredProvider] || leafletProvider;
+
+export default mapProvider;
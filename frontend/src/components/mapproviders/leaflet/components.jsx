@@ -0,0 +1,231 @@
+import React, { useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import L from "leaflet";
+import {
+  MapContainer,
+  TileLayer,
+  CircleMarker,
+  Polyline,
+  Rectangle,
+  useMap,
+  useMapEvents,
+} from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { canSuggest, searchNominatim } from "./nominatim";
+
+// Self-hosters point this at their own tile server
+const TILE_URL =
+  import.meta.env.VITE_OSM_TILE_URL ||
+  "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+// Wait for a pause in typing before asking Nominatim (max. 1 request/s)
+const SUGGEST_DELAY_MS = 500;
+const SUGGEST_MIN_CHARS = 3;
+
+const containerStyle = {
+  width: "100%",
+  height: "100vh",
+};
+
+const toViewport = (map) => {
+  const bounds = map.getBounds();
+  return {
+    north: bounds.getNorth(),
+    east: bounds.getEast(),
+    south: bounds.getSouth(),
+    west: bounds.getWest(),
+    zoom: map.getZoom(),
+  };
+};
+
+function ViewportReporter({ onViewportChange }) {
+  const map = useMapEvents({
+    moveend: () => onViewportChange(toViewport(map)),
+  });
+  return null;
+}
+
+// Reports the visible area once the map settles after a pan or zoom
+export function BaseMap({ center, zoom, onViewportChange, children }) {
+  const canReport = typeof onViewportChange === "function";
+  return (
+    <MapContainer
+      style={containerStyle}
+      center={[center.lat, center.lng]}
+      zoom={zoom}
+      whenReady={(event) => {
+        if (canReport) onViewportChange(toViewport(event.target));
+      }}
+    >
+      <TileLayer
+        url={TILE_URL}
+        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      />
+      {canReport && <ViewportReporter onViewportChange={onViewportChange} />}
+      {children}
+    </MapContainer>
+  );
+}
+
+export function SpotPin({ position, color, opacity, strokeColor, onClick }) {
+  return (
+    <CircleMarker
+      center={[position.lat, position.lng]}
+      radius={8}
+      pathOptions={{
+        color: strokeColor,
+        weight: 1.5,
+        fillColor: color,
+        fillOpacity: opacity,
+      }}
+      eventHandlers={{ click: onClick }}
+    />
+  );
+}
+
+export function UserDot({ position }) {
+  return (
+    <CircleMarker
+      center={[position.lat, position.lng]}
+      radius={6}
+      pathOptions={{
+        color: "white",
+        weight: 2,
+        fillColor: "#2563eb",
+        fillOpacity: 1,
+      }}
+      interactive={false}
+    />
+  );
+}
+
+export function DestinationPin({ position }) {
+  return (
+    <CircleMarker
+      center={[position.lat, position.lng]}
+      radius={9}
+      pathOptions={{
+        color: "#7f1d1d",
+        weight: 2,
+        fillColor: "#ef4444",
+        fillOpacity: 1,
+      }}
+      interactive={false}
+    />
+  );
+}
+
+// HTML content whose top-left corner sits on the position. Rendered into
+// the marker pane, whose layer coordinates only change when zooming.
+export function MapLabel({ position, children }) {
+  const map = useMap();
+  const [, setZoomLevel] = useState(map.getZoom());
+  useMapEvents({
+    zoomend: () => setZoomLevel(map.getZoom()),
+    viewreset: () => setZoomLevel(map.getZoom()),
+  });
+
+  const point = map.latLngToLayerPoint([position.lat, position.lng]);
+  return createPortal(
+    <div
+      className="leaflet-zoom-hide"
+      ref={(el) => {
+        // clicks on the label must not reach the map underneath
+        if (el) L.DomEvent.disableClickPropagation(el);
+      }}
+      style={{ position: "absolute", left: point.x, top: point.y }}
+    >
+      {children}
+    </div>,
+    map.getPane("markerPane"),
+  );
+}
+
+export function MapLine({ path, color, weight, opacity = 1, dashed = false }) {
+  return (
+    <Polyline
+      positions={path.map((point) => [point.lat, point.lng])}
+      pathOptions={{
+        color,
+        weight,
+        opacity,
+        dashArray: dashed ? `1 ${weight * 3}` : undefined,
+        lineCap: "round",
+      }}
+      interactive={false}
+    />
+  );
+}
+
+export function MapArea({ bounds, color, opacity }) {
+  return (
+    <Rectangle
+      bounds={[
+        [bounds.south, bounds.west],
+        [bounds.north, bounds.east],
+      ]}
+      pathOptions={{ stroke: false, fillColor: color, fillOpacity: opacity }}
+      interactive={false}
+    />
+  );
+}
+
+// Destination input with Nominatim suggestions when a self-hosted instance
+// is configured; onPlaceChange gets { lat, lng, label } once a suggestion
+// is picked
+export function AddressInput({ onPlaceChange, onChange, onBlur, style, ...inputProps }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const timerRef = useRef(null);
+
+  const handleChange = (e) => {
+    onChange(e);
+    const query = e.target.value.trim();
+    clearTimeout(timerRef.current);
+    if (!canSuggest || query.length < SUGGEST_MIN_CHARS) {
+      setSuggestions([]);
+      return;
+    }
+    timerRef.current = setTimeout(async () => {
+      try {
+        setSuggestions(await searchNominatim(query, 5));
+      } catch (err) {
+        console.error(err);
+      }
+    }, SUGGEST_DELAY_MS);
+  };
+
+  return (
+    <div className="address-input" style={{ flexGrow: 1 }}>
+      <input
+        type="text"
+        {...inputProps}
+        style={{ ...style, width: "100%", boxSizing: "border-box" }}
+        onChange={handleChange}
+        onBlur={(e) => {
+          setSuggestions([]);
+          if (onBlur) onBlur(e);
+        }}
+      />
+      {suggestions.length > 0 && (
+        <ul className="address-suggestions">
+          {suggestions.map((place) => (
+            <li key={`${place.lat},${place.lng}`}>
+              <button
+                type="button"
+                className="address-suggestion"
+                // keep the input from blurring before the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => {
+                  setSuggestions([]);
+                  onPlaceChange(place);
+                }}
+              >
+                {place.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import {
+  BaseMap,
+  SpotPin,
+  UserDot,
+  DestinationPin,
+  MapLabel,
+  MapLine,
+  MapArea,
+  AddressInput,
+} from "./components";
+import { searchNominatim } from "./nominatim";
+
+// Tiles need no script to load
+const useMapLoader = () => ({ isLoaded: true, loadError: null });
+
+// First match for a free-text address, or null
+const geocode = async (query) => {
+  const [first] = await searchNominatim(query, 1);
+  return first || null;
+};
+
+const getNavigationUrl = (origin, destination) =>
+  `https://www.openstreetmap.org/directions?engine=fossgis_osrm_car&route=${encodeURIComponent(
+    `${origin.lat},${origin.lng};${destination.lat},${destination.lng}`,
+  )}`;
+
+const leafletProvider = {
+  name: "leaflet",
+  label: "OpenStreetMap",
+  useMapLoader,
+  BaseMap,
+  SpotPin,
+  UserDot,
+  DestinationPin,
+  MapLabel,
+  MapLine,
+  MapArea,
+  AddressInput,
+  geocode,
+  getNavigationUrl,
+};
+
+export default leafletProvider;
@@ -0,0 +1,25 @@
+// OpenStreetMap address search; self-hosters set VITE_NOMINATIM_URL
+const PUBLIC_NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+const NOMINATIM_URL =
+  import.meta.env.VITE_NOMINATIM_URL || PUBLIC_NOMINATIM_URL;
+
+// The public instance's usage policy forbids search-as-you-type, so
+// suggestions need a self-hosted Nominatim; otherwise addresses are only
+// looked up on submit
+export const canSuggest =
+  new URL(NOMINATIM_URL).host !== new URL(PUBLIC_NOMINATIM_URL).host;
+
+// Matches for a free-text address as [{ lat, lng, label }]
+export const searchNominatim = async (query, limit) => {
+  const params = new URLSearchParams({ q: query, format: "jsonv2", limit });
+  const res = await fetch(`${NOMINATIM_URL}/search?${params}`);
+  if (!res.ok) {
+    throw new Error("Address lookup failed");
+  }
+  const results = await res.json();
+  return results.map((result) => ({
+    lat: Number(result.lat),
+    lng: Number(result.lon),
+    label: result.display_name,
+  }));
+};
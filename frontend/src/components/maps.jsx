@@ -4,135 +4,211 @@ import React, {
   useMemo,
   useEffect,
 } from "react";
+import mapProvider from "./mapproviders";
+import ForecastChart from "./forecastchart";
 import {
-  GoogleMap,
-  useJsApiLoader,
-  Marker,
-  InfoWindow,
-  DirectionsService,
-  DirectionsRenderer,
-  OverlayView,
-} from "@react-google-maps/api";
-
-const libraries = ["places"];
-
-const containerStyle = {
-  width: "100%",
-  height: "100vh",
-};
+  formatSearchRange,
+  getEstimateConfidence,
+  getTripStats,
+} from "../services/estimates";
+import { fetchRoute } from "../services/routing";
+
+const {
+  BaseMap,
+  SpotPin,
+  UserDot,
+  DestinationPin,
+  MapLabel,
+  MapLine,
+  MapArea,
+} = mapProvider;
 
 const initialZoom = 12;
 
-const hiddenMapStyle = [
-  { featureType: "poi", stylers: [{ visibility: "off" }] },
-  { featureType: "transit", stylers: [{ visibility: "off" }] },
-];
-
-// ----- MARKER ICONS -----
-const getMarkerIcon = (waitingTime) => {
-  let minutes = parseInt(waitingTime, 10);
-  if (Number.isNaN(minutes)) minutes = null;
-
-  let fill = "#22c55e"; // green default
-  if (minutes == null) {
-    fill = "#9ca3af"; // gray for N/A
-  } else if (minutes >= 15 && minutes < 30) {
-    fill = "#f97316"; // orange
-  } else if (minutes >= 30) {
-    fill = "#ef4444"; // red
-  }
+// ----- SEARCH TIME COLORS -----
+const getSearchTimeColor = (minutes) => {
+  if (minutes == null || Number.isNaN(minutes)) return "#9ca3af"; // gray for N/A
+  if (minutes >= 30) return "#ef4444"; // red
+  if (minutes >= 15) return "#f97316"; // orange
+  return "#22c55e"; // green
+};
+
+// ----- MARKER PINS -----
+// Uncertain estimates fade out so a wide range does not read as a sure thing
+const CONFIDENCE_OPACITY = { high: 1, medium: 0.7, low: 0.4 };
+
+const getPinStyle = (location) => {
+  const confidence = getEstimateConfidence(location);
 
   return {
-    path: "M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7z",
-    fillColor: fill,
-    fillOpacity: 1,
-    strokeColor: "#0f172a",
-    strokeWeight: 1.5,
-    scale: 1.4,
+    color: getSearchTimeColor(location.searchMinutes),
+    opacity: CONFIDENCE_OPACITY[confidence],
+    strokeColor: confidence === "low" ? "#6b7280" : "#0f172a",
   };
 };
 
-// ----- DESKTOP INFO WINDOW CONTENT -----
-const MarkerInfoContent = ({ location }) => (
-  <div
-    style={{
-      padding: "10px 12px",
-      borderRadius: "12px",
-      boxShadow: "0 10px 30px rgba(15, 23, 42, 0.18)",
-      maxWidth: "260px",
-      fontFamily:
-        'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
-    }}
-  >
-    <div
-      style={{
-        display: "flex",
-        alignItems: "center",
-        justifyContent: "space-between",
-        gap: "8px",
-        marginBottom: "4px",
-      }}
-    >
-      <h3
-        style={{
-          margin: 0,
-          fontSize: "14px",
-          fontWeight: 600,
-          color: "#0f172a",
-        }}
-      >
-        {location.label || "Parking spot"}
-      </h3>
-      <span
-        style={{
-          padding: "2px 8px",
-          borderRadius: "999px",
-          fontSize: "11px",
-          fontWeight: 600,
-          backgroundColor: "#e5f0ff",
-          color: "#1d4ed8",
-          whiteSpace: "nowrap",
-        }}
-      >
-        {location.waitingTime || "N/A"}
-      </span>
-    </div>
-
-    <p
-      style={{
-        margin: "4px 0 0",
-        fontSize: "12px",
-        color: "#6b7280",
-      }}
-    >
-      <span style={{ fontWeight: 500 }}>Coordinates:</span>{" "}
-      {location.lat.toFixed(4)}, {location.lng.toFixed(4)}
-    </p>
-  </div>
-);
+const ROUTE_COLOR = "#1a73e8";
+
+// ----- USER REPORTS -----
+const REPORT_COLORS = { free: "#16a34a", full: "#dc2626" };
+
+// "reported 3 min ago"
+const formatReportAge = (at) => {
+  const minutes = Math.max(0, Math.round((Date.now() - at.getTime()) / 60000));
+  return minutes < 1 ? "reported just now" : `reported ${minutes} min ago`;
+};
+
+// ----- PLANNED TRIP TIME -----
+const formatClock = (date) =>
+  date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+// "Leave by 08:05" for arrive-by trips, "Arrive around 09:10" for leave-at
+const getTripClockLabel = (tripTime, totalMinutes) => {
+  if (!tripTime) return null;
+  const base = new Date(tripTime.value);
+  if (Number.isNaN(base.getTime())) return null;
+  const offsetMs = totalMinutes * 60 * 1000;
+  if (tripTime.mode === "arrive") {
+    return `Leave by ${formatClock(new Date(base.getTime() - offsetMs))}`;
+  }
+  return `Arrive around ${formatClock(new Date(base.getTime() + offsetMs))}`;
+};
+
+// Hour of the planned trip, or undefined for "leave now"
+const getTripHour = (tripTime) => {
+  if (!tripTime) return undefined;
+  const hour = new Date(tripTime.value).getHours();
+  return Number.isNaN(hour) ? undefined : hour;
+};
+
+// ----- SPOT DETAILS CONTAINERS -----
+const detailsBaseStyle = {
+  position: "fixed",
+  zIndex: 40,
+  backgroundColor: "white",
+  boxSizing: "border-box",
+  display: "flex",
+  flexDirection: "column",
+  gap: "8px",
+};
+
+const bottomSheetStyle = {
+  ...detailsBaseStyle,
+  left: 0,
+  right: 0,
+  bottom: 0,
+  borderTopLeftRadius: "16px",
+  borderTopRightRadius: "16px",
+  boxShadow: "0 -10px 30px rgba(15, 23, 42, 0.25)",
+  padding: "12px 16px 18px",
+  height: "40vh",
+  maxHeight: "50vh",
+  minHeight: "40vh",
+};
+
+const sideDrawerStyle = {
+  ...detailsBaseStyle,
+  top: "80px",
+  right: "16px",
+  bottom: "16px",
+  width: "360px",
+  maxWidth: "calc(100vw - 32px)",
+  borderRadius: "16px",
+  boxShadow: "0 18px 40px rgba(15, 23, 42, 0.45)",
+  padding: "16px",
+};
 
 // ----- MAIN MAP COMPONENT -----
 function MapComponent({
-  apiKey,
   locations = [],
   center: propCenter,
   zoom: propZoom,
   userLocation,
   destination,
+  tripTime,
+  selectedParking = null,
+  recommendedId,
+  segments = [],
+  heatmap = null,
+  forecast = null,
+  onViewportChange,
+  onSelectParking,
+  onTravelStats,
   onStartTrip,
+  onReportParking,
+  isFavorite = false,
+  onToggleFavorite,
 }) {
   console.log(userLocation);
-  const { isLoaded, loadError } = useJsApiLoader({
-    googleMapsApiKey: apiKey,
-    libraries,
-  });
+  const { isLoaded, loadError } = mapProvider.useMapLoader();
 
-  const [activeMarker, setActiveMarker] = useState(null);
   const [isMobile, setIsMobile] = useState(false);
 
-  const [selectedParking, setSelectedParking] = useState(null);
-  const [directionsCar, setDirectionsCar] = useState(null);
-  const [directionsWalk, setDirectionsWalk] = useState(null);
+  // Car route user → spot and walking route spot → destination, as
+  // { durationMinutes, distanceMeters, path, approximate } each
+  const [routes, setRoutes] = useState(null);
+
+  const originLat = userLocation?.lat;
+  const originLng = userLocation?.lng;
+  const spotLat = selectedParking?.lat;
+  const spotLng = selectedParking?.lng;
+  const destinationLat = destination?.lat;
+  const destinationLng = destination?.lng;
+  const tripMode = tripTime?.mode;
+  const tripValue = tripTime?.value;
+
+  // Routes are only valid for the spot, destination and trip time they
+  // were requested for
+  const routeKey = `${selectedParking?.id}|${destinationLat},${destinationLng}|${tripMode}|${tripValue}`;
+  const activeRoutes = routes?.key === routeKey ? routes : null;
+  const directionsCar = activeRoutes ? activeRoutes.car : null;
+  const directionsWalk = activeRoutes ? activeRoutes.walk : null;
+
+  const canRoute =
+    typeof originLat === "number" &&
+    typeof destinationLat === "number" &&
+    typeof spotLat === "number";
+
+  useEffect(() => {
+    if (!isLoaded || !canRoute) return;
+    let cancelled = false;
+    const spot = { lat: spotLat, lng: spotLng };
+    (async () => {
+      try {
+        const [car, walk] = await Promise.all([
+          fetchRoute({
+            origin: { lat: originLat, lng: originLng },
+            destination: spot,
+            mode: "driving",
+            tripTime: tripMode ? { mode: tripMode, value: tripValue } : null,
+          }),
+          fetchRoute({
+            origin: spot,
+            destination: { lat: destinationLat, lng: destinationLng },
+            mode: "walking",
+          }),
+        ]);
+        if (!cancelled) setRoutes({ key: routeKey, car, walk });
+      } catch (e) {
+        console.error("Route error", e);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    isLoaded,
+    canRoute,
+    routeKey,
+    originLat,
+    originLng,
+    spotLat,
+    spotLng,
+    destinationLat,
+    destinationLng,
+    tripMode,
+    tripValue,
+  ]);
 
   // Detect mobile viewport
   useEffect(() => {
@@ -146,19 +222,17 @@ function MapComponent({
     return () => window.removeEventListener("resize", checkSize);
   }, []);
 
-  const handleMarkerClick = useCallback((location) => {
-    setActiveMarker(location);
-    setSelectedParking(location);
-    setDirectionsCar(null);
-    setDirectionsWalk(null);
-  }, []);
+  // Selection is owned by the parent so the list and the map stay in sync
+  const handleMarkerClick = useCallback(
+    (location) => {
+      if (typeof onSelectParking === "function") onSelectParking(location.id);
+    },
+    [onSelectParking],
+  );
 
   const handleCloseClick = useCallback(() => {
-    setActiveMarker(null);
-    setSelectedParking(null);
-    setDirectionsCar(null);
-    setDirectionsWalk(null);
-  }, []);
+    if (typeof onSelectParking === "function") onSelectParking(null);
+  }, [onSelectParking]);
 
   const center = useMemo(() => {
     if (
@@ -189,42 +263,30 @@ function MapComponent({
     return sum / times.length;
   }, [locations]);
 
-  // Total travel stats for the selected parking:
-  // carMinutes + walkMinutes + searchMinutes = totalMinutes
+  // Total travel stats for the selected parking from its two route legs
   const travelStatsForSelected = useMemo(() => {
     if (!selectedParking || !directionsCar || !directionsWalk) return null;
 
-    const carRoute = directionsCar.routes?.[0];
-    const walkRoute = directionsWalk.routes?.[0];
-    if (!carRoute || !walkRoute) return null;
-
-    const carSeconds = (carRoute.legs || []).reduce(
-      (sum, leg) => sum + (leg.duration?.value || 0),
-      0,
-    );
-    const walkSeconds = (walkRoute.legs || []).reduce(
-      (sum, leg) => sum + (leg.duration?.value || 0),
-      0,
-    );
-
-    const carMinutes = carSeconds / 60;
-    const walkMinutes = walkSeconds / 60;
-
     const rawSearch = parseInt(selectedParking.waitingTime, 10);
-    const hasSearch = !Number.isNaN(rawSearch);
-    const searchMinutes = hasSearch ? rawSearch : 0;
-
-    const totalMinutes = carMinutes + walkMinutes + searchMinutes;
 
     return {
-      carMinutes,
-      walkMinutes,
-      searchMinutes: hasSearch ? searchMinutes : null,
-      totalMinutes,
+      ...getTripStats({
+        carMinutes: directionsCar.durationMinutes,
+        walkMinutes: directionsWalk.durationMinutes,
+        searchMinutes: Number.isNaN(rawSearch) ? null : rawSearch,
+      }),
+      // a leg was estimated in a straight line, not routed
+      approximate: directionsCar.approximate || directionsWalk.approximate,
     };
   }, [selectedParking, directionsCar, directionsWalk]);
 
-  // "Start" button → notify parent + open Google Maps driving directions
+  // Let the parent remember route totals per spot (e.g. for the ranked list)
+  useEffect(() => {
+    if (!travelStatsForSelected || typeof onTravelStats !== "function") return;
+    onTravelStats(selectedParking.id, travelStatsForSelected);
+  }, [travelStatsForSelected, selectedParking, onTravelStats]);
+
+  // "Start" button → notify parent + open the provider's driving directions
   const handleStartNavigation = useCallback(() => {
     if (!userLocation || !selectedParking) return;
 
@@ -251,15 +313,15 @@ function MapComponent({
       onStartTrip({
         parkingId: selectedParking.id,
         savedTimeMinutes,
+        searchMinutes: travelStatsForSelected.searchMinutes,
+        averageSearchMinutes: averageSearchTimeMinutes,
       });
     }
 
-    const origin = `${userLocation.lat},${userLocation.lng}`;
-    const dest = `${selectedParking.lat},${selectedParking.lng}`;
-
-    const url = `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(
-      origin,
-    )}&destination=${encodeURIComponent(dest)}&travelmode=driving`;
+    const url = mapProvider.getNavigationUrl(userLocation, {
+      lat: selectedParking.lat,
+      lng: selectedParking.lng,
+    });
 
     window.open(url, "_blank");
   }, [
@@ -271,117 +333,86 @@ function MapComponent({
   ]);
 
   if (loadError) return <div>Map Load Error: {loadError.message}</div>;
-  if (!isLoaded) return <div>Loading Google Maps…</div>;
-
-  const canRoute =
-    !!userLocation &&
-    !!destination &&
-    !!selectedParking &&
-    typeof userLocation.lat === "number" &&
-    typeof destination.lat === "number";
-
-  const walkingLineSymbol = {
-    path: "M 0,-1 0,1",
-    strokeOpacity: 1,
-    strokeColor: "#1a73e8",
-    scale: 4,
-  };
+  if (!isLoaded) return <div>Loading {mapProvider.label}…</div>;
 
   const startDisabled = !userLocation || !selectedParking;
   console.log(startDisabled);
   return (
     <>
       {/* ----- MAP + ROUTES ----- */}
-      <GoogleMap
+      <BaseMap
         key={`${center.lat}-${center.lng}-${effectiveZoom}`}
-        mapContainerStyle={containerStyle}
         center={center}
         zoom={effectiveZoom}
-        options={{
-          styles: hiddenMapStyle,
-          mapTypeControl: false,
-          streetViewControl: false,
-          fullscreenControl: false,
-          zoomControl: true,
-        }}
+        onViewportChange={onViewportChange}
       >
-        {/* Car: user → parking */}
-        {canRoute && !directionsCar && (
-          <DirectionsService
-            options={{
-              origin: userLocation,
-              destination: {
-                lat: selectedParking.lat,
-                lng: selectedParking.lng,
-              },
-              travelMode: window.google.maps.TravelMode.DRIVING,
-            }}
-            callback={(res) => {
-              if (!res || res.status !== "OK") return;
-              setDirectionsCar(res);
-            }}
+        {/* Parking-pressure heatmap: one cell per grid square with parking */}
+        {heatmap &&
+          heatmap.cells.map((cell) => (
+            <MapArea
+              key={`${cell.row}-${cell.col}`}
+              bounds={{
+                north: cell.latitude + heatmap.cell_lat / 2,
+                south: cell.latitude - heatmap.cell_lat / 2,
+                east: cell.longitude + heatmap.cell_lng / 2,
+                west: cell.longitude - heatmap.cell_lng / 2,
+              }}
+              color={getSearchTimeColor(cell.estimated_search_time_minutes)}
+              opacity={0.35}
+            />
+          ))}
+
+        {/* Street parking curbs, colored by predicted search time */}
+        {segments.map((segment) => (
+          <MapLine
+            key={segment.id}
+            path={segment.geometry.coordinates.map(([lng, lat]) => ({
+              lat,
+              lng,
+            }))}
+            color={getSearchTimeColor(
+              segment.properties.estimated_search_time_minutes,
+            )}
+            opacity={0.85}
+            weight={5}
           />
-        )}
+        ))}
 
+        {/* Car: user → parking */}
         {directionsCar && (
-          <DirectionsRenderer
-            directions={directionsCar}
-            options={{
-              suppressMarkers: true,
-              polylineOptions: {
-                strokeColor: "#1a73e8",
-                strokeOpacity: 0.95,
-                strokeWeight: 6,
-              },
-            }}
+          <MapLine
+            path={directionsCar.path}
+            color={ROUTE_COLOR}
+            opacity={0.95}
+            weight={6}
           />
         )}
 
         {/* Walk: parking → destination */}
-        {canRoute && !directionsWalk && (
-          <DirectionsService
-            options={{
-              origin: {
-                lat: selectedParking.lat,
-                lng: selectedParking.lng,
-              },
-              destination: destination,
-              travelMode: window.google.maps.TravelMode.WALKING,
-            }}
-            callback={(res) => {
-              if (!res || res.status !== "OK") return;
-              setDirectionsWalk(res);
-            }}
+        {directionsWalk && (
+          <MapLine
+            path={directionsWalk.path}
+            color={ROUTE_COLOR}
+            weight={4}
+            dashed
           />
         )}
 
-        {directionsWalk && (
-          <DirectionsRenderer
-            directions={directionsWalk}
-            options={{
-              suppressMarkers: true,
-              polylineOptions: {
-                strokeColor: "#1a73e8",
-                strokeOpacity: 0,
-                strokeWeight: 4,
-                icons: [
-                  {
-                    icon: walkingLineSymbol,
-                    offset: "0",
-                    repeat: "14px",
-                  },
-                ],
-              },
-            }}
+        {/* ----- PARKING PINS (color = search time, opacity = confidence) ----- */}
+        {locations.map((location, index) => (
+          <SpotPin
+            key={location.id ?? index}
+            position={{ lat: location.lat, lng: location.lng }}
+            {...getPinStyle(location)}
+            onClick={() => handleMarkerClick(location)}
           />
-        )}
+        ))}
 
         {/* ----- PARKING CHIPS ----- */}
         {locations.map((location, index) => (
-          <OverlayView
-            key={index}
+          <MapLabel
+            key={location.id ?? index}
             position={{ lat: location.lat, lng: location.lng }}
-            mapPaneName={OverlayView.OVERLAY_MOUSE_TARGET}
           >
             <div
               onClick={() => handleMarkerClick(location)}
@@ -393,12 +424,17 @@ function MapComponent({
                 borderRadius: "16px",
                 minWidth: "70px",
                 background: "#ffffff",
+                border:
+                  selectedParking && selectedParking.id === location.id
+                    ? "2px solid #1d4ed8"
+                    : "2px solid transparent",
                 boxShadow: "0 2px 6px rgba(0,0,0,0.15)",
                 fontSize: "13px",
                 fontWeight: 600,
                 color: "#0f172a",
                 cursor: "pointer",
                 userSelect: "none",
+                position: "relative",
                 transform: "translate(-50%, -120%)", // position above anchor
                 whiteSpace: "nowrap",
                 textAlign: "center",
@@ -425,75 +461,76 @@ function MapComponent({
                 P
               </div>
 
-              {/* Waiting time number */}
+              {/* Search time range */}
               <span style={{ marginLeft: "-14px" }}>
-                {(() => {
-                  const minutes = parseInt(location.waitingTime, 10);
-                  if (Number.isNaN(minutes)) return "N/A";
-                  return `${minutes} min`;
-                })()}
+                {formatSearchRange(location)}
               </span>
+
+              {/* Fastest door-to-door option */}
+              {location.id === recommendedId && (
+                <span
+                  style={{
+                    position: "absolute",
+                    top: "-10px",
+                    right: "-6px",
+                    padding: "1px 6px",
+                    borderRadius: "999px",
+                    backgroundColor: "#16a34a",
+                    color: "white",
+                    fontSize: "10px",
+                    fontWeight: 700,
+                  }}
+                >
+                  ★ Recommended
+                </span>
+              )}
+
+              {/* Latest "free" / "full" report by other drivers */}
+              {location.lastReport && (
+                <span
+                  style={{
+                    position: "absolute",
+                    bottom: "-16px",
+                    left: "50%",
+                    transform: "translateX(-50%)",
+                    padding: "1px 6px",
+                    borderRadius: "999px",
+                    backgroundColor: REPORT_COLORS[location.lastReport.status],
+                    color: "white",
+                    fontSize: "10px",
+                    fontWeight: 600,
+                  }}
+                >
+                  {location.lastReport.status === "free" ? "Free" : "Full"} ·{" "}
+                  {formatReportAge(location.lastReport.at)}
+                </span>
+              )}
             </div>
-          </OverlayView>
+          </MapLabel>
         ))}
 
         {/* User marker */}
-        {userLocation && (
-          <Marker
-            position={userLocation}
-            icon={{
-              path: window.google.maps.SymbolPath.CIRCLE,
-              scale: 6,
-              fillColor: "#2563eb",
-              fillOpacity: 1,
-              strokeColor: "white",
-              strokeWeight: 2,
-            }}
-          />
-        )}
+        {userLocation && <UserDot position={userLocation} />}
 
         {/* Destination marker */}
-        {destination && (
-  <Marker
-    position={destination}
-  />
-)}
-
-      </GoogleMap>
-
-      {/* ----- MOBILE BOTTOM SHEET ----- */}
-      {isMobile && activeMarker && (
-        <div
-          style={{
-            position: "fixed",
-            left: 0,
-            right: 0,
-            bottom: 0,
-            zIndex: 40,
-            backgroundColor: "white",
-            borderTopLeftRadius: "16px",
-            borderTopRightRadius: "16px",
-            boxShadow: "0 -10px 30px rgba(15, 23, 42, 0.25)",
-            padding: "12px 16px 18px",
-            height: "40vh",
-            maxHeight: "50vh",
-            minHeight: "40vh",
-            boxSizing: "border-box",
-            display: "flex",
-            flexDirection: "column",
-            gap: "8px",
-          }}
-        >
+        {destination && <DestinationPin position={destination} />}
+      </BaseMap>
+
+      {/* ----- SPOT DETAILS: BOTTOM SHEET (MOBILE) / SIDE DRAWER (DESKTOP) ----- */}
+      {selectedParking && (
+        <div style={isMobile ? bottomSheetStyle : sideDrawerStyle}>
           {/* Handle */}
-          <div
-            style={{
-              width: "40px",
-              height: "4px",
-              borderRadius: "999px",
-              backgroundColor: "#e5e7eb",
-              margin: "0 auto 4px",
-            }}
-          />
+          {isMobile && (
+            <div
+              style={{
+                width: "40px",
+                height: "4px",
+                borderRadius: "999px",
+                backgroundColor: "#e5e7eb",
+                margin: "0 auto 4px",
+              }}
+            />
+          )}
 
           {/* Header */}
           <div
@@ -515,7 +552,9 @@ function MapComponent({
                   marginBottom: "2px",
                 }}
               >
-                Parking spot
+                {selectedParking.id === recommendedId
+                  ? "★ Recommended parking spot"
+                  : "Parking spot"}
               </div>
               <div
                 style={{
@@ -524,10 +563,33 @@ function MapComponent({
                   color: "#0f172a",
                 }}
               >
-                {activeMarker.label || "Unnamed parking spot"}
+                {selectedParking.label || "Unnamed parking spot"}
               </div>
             </div>
 
+            {typeof onToggleFavorite === "function" && (
+              <button
+                type="button"
+                onClick={() => onToggleFavorite(selectedParking)}
+                aria-pressed={isFavorite}
+                aria-label={
+                  isFavorite ? "Remove from favorites" : "Save as favorite"
+                }
+                style={{
+                  marginLeft: "auto",
+                  border: "none",
+                  background: "transparent",
+                  padding: "4px",
+                  cursor: "pointer",
+                  fontSize: "18px",
+                  lineHeight: 1,
+                  color: isFavorite ? "#f59e0b" : "#9ca3af",
+                }}
+              >
+                {isFavorite ? "★" : "☆"}
+              </button>
+            )}
+
             <button
               onClick={handleCloseClick}
               style={{
@@ -596,6 +658,7 @@ function MapComponent({
                         marginBottom: "2px",
                       }}
                     >
+                      {travelStatsForSelected.approximate && "≈ "}
                       {Math.round(travelStatsForSelected.totalMinutes)} min
                     </div>
                     <div
@@ -609,10 +672,25 @@ function MapComponent({
                       {travelStatsForSelected.searchMinutes != null && (
                         <>
                           {" "}
-                          · Search {travelStatsForSelected.searchMinutes} min
+                          · Search {formatSearchRange(selectedParking)}
                         </>
                       )}
                     </div>
+                    {tripTime && (
+                      <div
+                        style={{
+                          fontSize: "11px",
+                          fontWeight: 600,
+                          color: "#1d4ed8",
+                          marginTop: "2px",
+                        }}
+                      >
+                        {getTripClockLabel(
+                          tripTime,
+                          travelStatsForSelected.totalMinutes,
+                        )}
+                      </div>
+                    )}
                   </>
                 ) : (
                   <div
@@ -637,7 +715,7 @@ function MapComponent({
                 }}
               >
                 {(() => {
-                  const spotMinutes = parseInt(activeMarker.waitingTime, 10);
+                  const spotMinutes = parseInt(selectedParking.waitingTime, 10);
                   const hasSpot = !Number.isNaN(spotMinutes);
                   const hasAvgSearch =
                     typeof averageSearchTimeMinutes === "number" &&
@@ -686,6 +764,22 @@ function MapComponent({
 
                           return (
                             <>
+                              <div
+                                style={{
+                                  fontSize: "12px",
+                                  color: "#6b7280",
+                                }}
+                              >
+                                This spot:{" "}
+                                <span
+                                  style={{
+                                    fontWeight: 600,
+                                    color: "#111827",
+                                  }}
+                                >
+                                  {formatSearchRange(selectedParking)}
+                                </span>
+                              </div>
                               <div
                                 style={{
                                   fontSize: "12px",
@@ -807,6 +901,68 @@ function MapComponent({
               </div>
             </div>
 
+            {/* Hourly forecast, workday vs weekend */}
+            {forecast && (
+              <div
+                style={{
+                  backgroundColor: "#f9fafb",
+                  borderRadius: "12px",
+                  padding: "8px 10px",
+                  marginBottom: "8px",
+                }}
+              >
+                <ForecastChart
+                  curves={forecast.curves}
+                  hour={getTripHour(tripTime)}
+                />
+              </div>
+            )}
+
+            {/* Tell others whether the spot is free right now */}
+            {typeof onReportParking === "function" && (
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "6px",
+                  marginBottom: "8px",
+                  fontSize: "12px",
+                  color: "#6b7280",
+                }}
+              >
+                <span style={{ flexGrow: 1 }}>
+                  {selectedParking.lastReport
+                    ? `${
+                        selectedParking.lastReport.status === "free"
+                          ? "Free"
+                          : "Full"
+                      }, ${formatReportAge(selectedParking.lastReport.at)}`
+                    : "At the spot? Let others know."}
+                </span>
+                {["free", "full"].map((reportStatus) => (
+                  <button
+                    key={reportStatus}
+                    type="button"
+                    onClick={() =>
+                      onReportParking(selectedParking.id, reportStatus)
+                    }
+                    style={{
+                      border: `1px solid ${REPORT_COLORS[reportStatus]}`,
+                      borderRadius: "999px",
+                      padding: "3px 10px",
+                      fontSize: "12px",
+                      fontWeight: 600,
+                      cursor: "pointer",
+                      background: "white",
+                      color: REPORT_COLORS[reportStatus],
+                    }}
+                  >
+                    {reportStatus === "free" ? "Free" : "Full"}
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* Coordinates */}
             <div
               style={{
@@ -815,7 +971,7 @@ function MapComponent({
                 color: "#9ca3af",
               }}
             >
-              {activeMarker.lat.toFixed(4)}, {activeMarker.lng.toFixed(4)}
+              {selectedParking.lat.toFixed(4)}, {selectedParking.lng.toFixed(4)}
             </div>
           </div>
 
@@ -0,0 +1,161 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { formatSearchRange } from "../services/estimates";
+
+const SORT_OPTIONS = [
+  { value: "total", label: "Total trip" },
+  { value: "search", label: "Search time" },
+  { value: "distance", label: "Distance" },
+  { value: "capacity", label: "Capacity" },
+];
+
+// Value a location is ranked by; null values always sort last
+const getSortValue = (location, sortBy, travelStatsById) => {
+  switch (sortBy) {
+    case "total": {
+      const stats = travelStatsById[location.id];
+      return stats ? stats.totalMinutes : null;
+    }
+    case "search":
+      return location.searchMinutes;
+    case "distance":
+      return location.distance_m;
+    case "capacity":
+      // more spaces first
+      return location.capacity != null ? -location.capacity : null;
+    default:
+      return null;
+  }
+};
+
+const formatDistance = (meters) => {
+  if (typeof meters !== "number" || Number.isNaN(meters)) return "–";
+  if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+  return `${Math.round(meters)} m`;
+};
+
+// ----- RANKED LIST OF PARKING OPTIONS -----
+function ParkingList({
+  locations = [],
+  travelStatsById = {},
+  selectedId,
+  recommendedId,
+  onSelect,
+  hasMore = false,
+  onLoadMore,
+}) {
+  const [sortBy, setSortBy] = useState("total");
+  const [isOpen, setIsOpen] = useState(true);
+  const itemRefs = useRef({});
+
+  const sortedLocations = useMemo(() => {
+    return [...locations].sort((a, b) => {
+      const va = getSortValue(a, sortBy, travelStatsById);
+      const vb = getSortValue(b, sortBy, travelStatsById);
+      if (va == null && vb == null) return 0;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      return va - vb;
+    });
+  }, [locations, sortBy, travelStatsById]);
+
+  // Keep the spot selected on the map visible in the list
+  useEffect(() => {
+    if (selectedId == null) return;
+    const el = itemRefs.current[selectedId];
+    if (el) el.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [selectedId]);
+
+  if (!locations.length) return null;
+
+  return (
+    <aside className={`parking-list ${isOpen ? "" : "parking-list--closed"}`}>
+      <div className="parking-list-header">
+        <button
+          type="button"
+          className="parking-list-toggle"
+          onClick={() => setIsOpen((open) => !open)}
+          aria-expanded={isOpen}
+        >
+          {isOpen ? "▾" : "▸"} {locations.length} options
+        </button>
+        {isOpen && (
+          <label className="parking-list-sort">
+            Sort by{" "}
+            <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {isOpen && (
+        <ol className="parking-list-items">
+          {sortedLocations.map((location, index) => {
+            const stats = travelStatsById[location.id];
+            const isSelected = location.id === selectedId;
+            return (
+              <li
+                key={location.id}
+                ref={(el) => {
+                  itemRefs.current[location.id] = el;
+                }}
+              >
+                <button
+                  type="button"
+                  className={`parking-list-item ${
+                    isSelected ? "parking-list-item--selected" : ""
+                  }`}
+                  onClick={() => onSelect(isSelected ? null : location.id)}
+                >
+                  <span className="parking-list-rank">{index + 1}</span>
+                  <span className="parking-list-body">
+                    <span className="parking-list-title">
+                      {location.id === recommendedId && (
+                        <span className="parking-list-badge">Recommended</span>
+                      )}
+                      {location.label}
+                    </span>
+                    <span className="parking-list-meta">
+                      {location.regulation || location.parkingType || "Parking"} ·{" "}
+                      {location.capacity != null
+                        ? `${Math.round(location.capacity)} spaces`
+                        : "capacity unknown"}{" "}
+                      · {formatDistance(location.distance_m)}
+                    </span>
+                  </span>
+                  <span className="parking-list-times">
+                    <span className="parking-list-search">
+                      {formatSearchRange(location)}
+                    </span>
+                    <span className="parking-list-total">
+                      {stats
+                        ? `${Math.round(stats.totalMinutes)} min total`
+                        : "total –"}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+          {hasMore && (
+            <li>
+              <button
+                type="button"
+                className="parking-list-more"
+                onClick={onLoadMore}
+              >
+                Load more
+              </button>
+            </li>
+          )}
+        </ol>
+      )}
+    </aside>
+  );
+}
+
+export default ParkingList;
@@ -7,6 +7,7 @@ import "./styles/landing.css";
 import "./styles/auth.css";
 import "./styles/profile.css";
 import "./styles/map.css";
+import "./styles/history.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
@@ -1,13 +1,69 @@
-import React, { useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import { api, clearSession, setSession } from "../services/api";
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+// Title, subtitle, badge and submit labels of every screen
+const MODE_COPY = {
+  login: {
+    badge: "Secure sign-in",
+    title: "Welcome back",
+    subtitle: "Sign in to see your live parking-aware ETA and time saved.",
+    submit: "Login",
+    submitting: "Logging in...",
+  },
+  register: {
+    badge: "1-minute setup",
+    title: "Create your account",
+    subtitle:
+      "Join the private beta and start tracking how much time you really save.",
+    submit: "Create account",
+    submitting: "Creating account...",
+  },
+  forgot: {
+    badge: "Account recovery",
+    title: "Forgot your password?",
+    subtitle: "Enter your email and we'll send you a link to choose a new one.",
+    submit: "Send reset link",
+    submitting: "Sending...",
+  },
+  reset: {
+    badge: "Account recovery",
+    title: "Choose a new password",
+    subtitle: "Your new password replaces the old one on all devices.",
+    submit: "Save password",
+    submitting: "Saving...",
+  },
+  verify: {
+    badge: "Almost there",
+    title: "Verify your email",
+    subtitle:
+      "Open the link we sent to your inbox to activate your account.",
+    submit: "Resend link",
+    submitting: "Sending...",
+  },
+};
+
+// Modes with the Login / Register tabs
+const TAB_MODES = ["login", "register"];
 
 function AuthPage({ onLogin }) {
-  const [mode, setMode] = useState("login"); // 'login' | 'register'
+  // Links from our emails land here as /auth?verify=…, /auth?reset=… or
+  // /auth?confirm_email=…
+  const [searchParams, setSearchParams] = useSearchParams();
+  const verifyToken = searchParams.get("verify");
+  const resetToken = searchParams.get("reset");
+  const emailChangeToken = searchParams.get("confirm_email");
+
+  // 'login' | 'register' | 'forgot' | 'reset' | 'verify'
+  const [mode, setMode] = useState(() => {
+    if (resetToken) return "reset";
+    if (verifyToken) return "verify";
+    return "login";
+  });
   const [form, setForm] = useState({ email: "", password: "", name: "" });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -17,47 +73,92 @@ function AuthPage({ onLogin }) {
     }));
   };
 
-  async function loginWithBackend(email, password) {
-    const tokenRes = await fetch(`${API_BASE_URL}/token`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-      body: new URLSearchParams({
-        username: email, // FastAPI OAuth2PasswordRequestForm uses "username"
-        password,
-      }),
-    });
+  const switchMode = (next) => {
+    setMode(next);
+    setError("");
+    setNotice("");
+  };
+
+  // Leave the email link's token behind once it was used
+  const clearLinkToken = () => setSearchParams({}, { replace: true });
 
-    if (!tokenRes.ok) {
-      let detail = "Login failed. Check your credentials.";
+  // Opening the verification link activates the account right away. The
+  // token only works once, so it is sent once even when StrictMode runs
+  // the effect twice.
+  const sentVerifyTokenRef = useRef(null);
+  useEffect(() => {
+    if (!verifyToken || sentVerifyTokenRef.current === verifyToken) return;
+    sentVerifyTokenRef.current = verifyToken;
+    (async () => {
       try {
-        const data = await tokenRes.json();
-        if (data.detail) detail = data.detail;
-      } catch {
-        // ignore
+        await api.post(
+          "/verify_email",
+          { token: verifyToken },
+          { auth: false, errorMessage: "Could not verify your email." },
+        );
+        setMode("login");
+        setError("");
+        setNotice("Your email is verified. You can log in now.");
+      } catch (err) {
+        setMode("verify");
+        setError(err.message);
+      } finally {
+        setSearchParams({}, { replace: true });
       }
-      throw new Error(detail);
-    }
+    })();
+  }, [verifyToken, setSearchParams]);
 
-    const tokenData = await tokenRes.json();
-    const accessToken = tokenData.access_token;
+  // The link sent to a new address switches the account over to it
+  const sentEmailChangeTokenRef = useRef(null);
+  useEffect(() => {
+    if (
+      !emailChangeToken ||
+      sentEmailChangeTokenRef.current === emailChangeToken
+    ) {
+      return;
+    }
+    sentEmailChangeTokenRef.current = emailChangeToken;
+    (async () => {
+      try {
+        const user = await api.post(
+          "/confirm_email_change",
+          { token: emailChangeToken },
+          { auth: false, errorMessage: "Could not confirm your new email." },
+        );
+        setError("");
+        setNotice(`Your email is now ${user.email}. Use it to log in.`);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setSearchParams({}, { replace: true });
+      }
+    })();
+  }, [emailChangeToken, setSearchParams]);
 
-    const meRes = await fetch(`${API_BASE_URL}/users/me`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
+  async function loginWithBackend(email, password) {
+    const tokenData = await api.post("/token", undefined, {
+      form: {
+        username: email, // FastAPI OAuth2PasswordRequestForm uses "username"
+        password,
       },
+      auth: false,
+      errorMessage: "Login failed. Check your credentials.",
     });
 
-    if (!meRes.ok) {
-      throw new Error("Failed to fetch user profile.");
+    setSession(tokenData);
+    let user;
+    try {
+      user = await api.get("/users/me", {
+        errorMessage: "Failed to fetch user profile.",
+      });
+    } catch (err) {
+      clearSession();
+      throw err;
     }
 
-    const user = await meRes.json();
-
     onLogin({
       ...user,
-      token: accessToken,
+      token: tokenData.access_token,
     });
 
     navigate("/map");
@@ -66,40 +167,73 @@ function AuthPage({ onLogin }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
+    setNotice("");
     setLoading(true);
 
     try {
-      if (!form.email || !form.password || (mode === "register" && !form.name)) {
-        throw new Error("Please fill in all required fields.");
-      }
-
-      if (mode === "register") {
-        const res = await fetch(`${API_BASE_URL}/register`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
+      if (mode === "login") {
+        if (!form.email || !form.password) {
+          throw new Error("Please fill in all required fields.");
+        }
+        try {
+          await loginWithBackend(form.email, form.password);
+        } catch (err) {
+          // the account exists, but its email was never confirmed
+          if (err.status === 403) {
+            setMode("verify");
+          }
+          throw err;
+        }
+      } else if (mode === "register") {
+        if (!form.email || !form.password || !form.name) {
+          throw new Error("Please fill in all required fields.");
+        }
+        await api.post(
+          "/register",
+          {
             email: form.email,
             password: form.password,
             name: form.name,
-          }),
-        });
-
-        if (!res.ok) {
-          let detail = "Registration failed.";
-          try {
-            const data = await res.json();
-            if (data.detail) detail = data.detail;
-          } catch {
-            // ignore
-          }
-          throw new Error(detail);
+          },
+          { auth: false, errorMessage: "Registration failed." },
+        );
+        setMode("verify");
+        setNotice(`We sent a verification link to ${form.email}.`);
+      } else if (mode === "forgot") {
+        if (!form.email) {
+          throw new Error("Please enter your email.");
         }
-
-        await loginWithBackend(form.email, form.password);
-      } else {
-        await loginWithBackend(form.email, form.password);
+        await api.post(
+          "/password_reset",
+          { email: form.email },
+          { auth: false, errorMessage: "Could not send the reset link." },
+        );
+        setNotice(
+          `If ${form.email} has an account, a reset link is on its way.`,
+        );
+      } else if (mode === "reset") {
+        if (!form.password) {
+          throw new Error("Please enter a new password.");
+        }
+        await api.post(
+          "/password_reset/confirm",
+          { token: resetToken, new_password: form.password },
+          { auth: false, errorMessage: "Could not reset your password." },
+        );
+        clearLinkToken();
+        setForm((f) => ({ ...f, password: "" }));
+        setMode("login");
+        setNotice("Your password was changed. Log in with the new one.");
+      } else if (mode === "verify") {
+        if (!form.email) {
+          throw new Error("Please enter your email.");
+        }
+        await api.post(
+          "/verify_email/resend",
+          { email: form.email },
+          { auth: false, errorMessage: "Could not send a new link." },
+        );
+        setNotice(`A new verification link is on its way to ${form.email}.`);
       }
     } catch (err) {
       setError(err.message || "Something went wrong.");
@@ -108,11 +242,10 @@ function AuthPage({ onLogin }) {
     }
   };
 
-  const title = mode === "login" ? "Welcome back" : "Create your account";
-  const subtitle =
-    mode === "login"
-      ? "Sign in to see your live parking-aware ETA and time saved."
-      : "Join the private beta and start tracking how much time you really save.";
+  const copy = MODE_COPY[mode];
+  const showName = mode === "register";
+  const showEmail = mode !== "reset";
+  const showPassword = ["login", "register", "reset"].includes(mode);
 
   return (
     <div className="screen auth-screen">
@@ -135,38 +268,32 @@ function AuthPage({ onLogin }) {
 
       <main className="screen-main auth-main">
         <section className="card auth-card">
-          <p className="pill-badge auth-pill">
-            {mode === "login" ? "Secure sign-in" : "1-minute setup"}
-          </p>
+          <p className="pill-badge auth-pill">{copy.badge}</p>
 
-          <h2 className="auth-title">{title}</h2>
-          <p className="auth-subtitle">{subtitle}</p>
+          <h2 className="auth-title">{copy.title}</h2>
+          <p className="auth-subtitle">{copy.subtitle}</p>
 
-          <div className="auth-toggle">
-            <button
-              type="button"
-              className={`auth-tab ${mode === "login" ? "auth-tab--active" : ""}`}
-              onClick={() => {
-                setMode("login");
-                setError("");
-              }}
-            >
-              Login
-            </button>
-            <button
-              type="button"
-              className={`auth-tab ${mode === "register" ? "auth-tab--active" : ""}`}
-              onClick={() => {
-                setMode("register");
-                setError("");
-              }}
-            >
-              Register
-            </button>
-          </div>
+          {TAB_MODES.includes(mode) && (
+            <div className="auth-toggle">
+              <button
+                type="button"
+                className={`auth-tab ${mode === "login" ? "auth-tab--active" : ""}`}
+                onClick={() => switchMode("login")}
+              >
+                Login
+              </button>
+              <button
+                type="button"
+                className={`auth-tab ${mode === "register" ? "auth-tab--active" : ""}`}
+                onClick={() => switchMode("register")}
+              >
+                Register
+              </button>
+            </div>
+          )}
 
           <form className="form auth-form" onSubmit={handleSubmit}>
-            {mode === "register" && (
+            {showName && (
               <div className="form-group">
                 <label className="label" htmlFor="name">
                   Name
@@ -183,81 +310,96 @@ function AuthPage({ onLogin }) {
               </div>
             )}
 
-            <div className="form-group">
-              <label className="label" htmlFor="email">
-                Email
-              </label>
-              <input
-                className={`input ${error ? "input-error" : ""}`}
-                id="email"
-                name="email"
-                type="email"
-                placeholder="you@example.com"
-                value={form.email}
-                onChange={handleChange}
-                autoComplete="email"
-              />
-            </div>
+            {showEmail && (
+              <div className="form-group">
+                <label className="label" htmlFor="email">
+                  Email
+                </label>
+                <input
+                  className={`input ${error ? "input-error" : ""}`}
+                  id="email"
+                  name="email"
+                  type="email"
+                  placeholder="you@example.com"
+                  value={form.email}
+                  onChange={handleChange}
+                  autoComplete="email"
+                />
+              </div>
+            )}
 
-            <div className="form-group">
-              <label className="label" htmlFor="password">
-                Password
-              </label>
-              <input
-                className={`input ${error ? "input-error" : ""}`}
-                id="password"
-                name="password"
-                type="password"
-                placeholder="••••••••"
-                value={form.password}
-                onChange={handleChange}
-                autoComplete={mode === "login" ? "current-password" : "new-password"}
-              />
-            </div>
+            {showPassword && (
+              <div className="form-group">
+                <label className="label" htmlFor="password">
+                  {mode === "reset" ? "New password" : "Password"}
+                </label>
+                <input
+                  className={`input ${error ? "input-error" : ""}`}
+                  id="password"
+                  name="password"
+                  type="password"
+                  placeholder="••••••••"
+                  value={form.password}
+                  onChange={handleChange}
+                  autoComplete={mode === "login" ? "current-password" : "new-password"}
+                />
+                {mode === "login" && (
+                  <button
+                    type="button"
+                    className="text-link auth-forgot-link"
+                    onClick={() => switchMode("forgot")}
+                  >
+                    Forgot password?
+                  </button>
+                )}
+              </div>
+            )}
 
             {error && <p className="error-text">{error}</p>}
+            {notice && <p className="notice-text">{notice}</p>}
 
             <button type="submit" className="btn-primary auth-submit-btn" disabled={loading}>
-              {loading
-                ? mode === "login"
-                  ? "Logging in..."
-                  : "Creating account..."
-                : mode === "login"
-                ? "Login"
-                : "Create account"}
+              {loading ? copy.submitting : copy.submit}
             </button>
           </form>
 
           <p className="auth-helper">
-            {mode === "login" ? (
+            {mode === "login" && (
               <>
                 Don&apos;t have an account?{" "}
                 <button
                   type="button"
                   className="text-link"
-                  onClick={() => {
-                    setMode("register");
-                    setError("");
-                  }}
+                  onClick={() => switchMode("register")}
                 >
                   Register
                 </button>
               </>
-            ) : (
+            )}
+            {mode === "register" && (
               <>
                 Already have an account?{" "}
                 <button
                   type="button"
                   className="text-link"
-                  onClick={() => {
-                    setMode("login");
-                    setError("");
-                  }}
+                  onClick={() => switchMode("login")}
                 >
                   Login
                 </button>
               </>
             )}
+            {!TAB_MODES.includes(mode) && (
+              <button
+                type="button"
+                className="text-link"
+                onClick={() => {
+                  if (mode === "reset") clearLinkToken();
+                  switchMode("login");
+                }}
+              >
+                Back to login
+              </button>
+            )}
           </p>
 
           <p className="auth-footnote">
@@ -0,0 +1,205 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { parseUtcTimestamp } from "../services/time";
+import { api } from "../services/api";
+
+const PAGE_SIZE = 20;
+
+const PARKING_TYPE_FILTERS = [
+  { value: "", label: "All types" },
+  { value: "Parkplatz", label: "Street parking" },
+  { value: "Parkhaus", label: "Garage" },
+];
+
+// One page of the user's trips, newest first
+function requestTrips({ offset = 0, type = "" } = {}) {
+  return api.get("/history", {
+    query: { limit: PAGE_SIZE, offset, parking_type: type || null },
+    errorMessage: "Failed to load your trips.",
+  });
+}
+
+function formatTripDate(timestamp) {
+  const date = parseUtcTimestamp(timestamp);
+  if (Number.isNaN(date.getTime())) return "Unknown date";
+  return date.toLocaleString([], {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function formatSavedTime(minutes) {
+  const rounded = Math.round(minutes || 0);
+  if (rounded > 0) return `+${rounded} min saved`;
+  if (rounded < 0) return `${Math.abs(rounded)} min lost`;
+  return "no time saved";
+}
+
+function HistoryPage({ user, onUserUpdate }) {
+  const [trips, setTrips] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [parkingType, setParkingType] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const fetchTrips = async ({ offset = 0, type = parkingType } = {}) => {
+    setLoading(true);
+    setError("");
+    try {
+      const page = await requestTrips({ offset, type });
+      setTrips((prev) => (offset === 0 ? page.items : [...prev, ...page.items]));
+      setTotal(page.total);
+    } catch (err) {
+      setError(err.message || "Something went wrong.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Load the first page once
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const page = await requestTrips();
+        if (cancelled) return;
+        setTrips(page.items);
+        setTotal(page.total);
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Something went wrong.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [user.token]);
+
+  const handleTypeChange = (type) => {
+    setParkingType(type);
+    fetchTrips({ offset: 0, type });
+  };
+
+  const handleDelete = async (trip) => {
+    try {
+      await api.delete(`/history/${trip.id}`, {
+        errorMessage: "Could not delete this trip.",
+      });
+
+      setTrips((prev) => prev.filter((t) => t.id !== trip.id));
+      setTotal((prev) => Math.max(0, prev - 1));
+
+      // The trip no longer counts towards the total saved time
+      if (typeof onUserUpdate === "function") {
+        onUserUpdate((prev) => {
+          if (!prev) return prev;
+          const previous =
+            typeof prev.saved_time === "number" ? prev.saved_time : 0;
+          return {
+            ...prev,
+            saved_time: previous - trip.saved_time,
+          };
+        });
+      }
+    } catch (err) {
+      setError(err.message || "Something went wrong.");
+    }
+  };
+
+  return (
+    <div className="screen profile-screen">
+      <header className="header header--with-back profile-header">
+        <Link to="/profile" className="back-link profile-back-link">
+          ←
+        </Link>
+        <div className="profile-header-center">
+          <h1 className="logo profile-logo">Trip history</h1>
+          <p className="profile-header-subtitle">
+            {total} {total === 1 ? "trip" : "trips"} tracked
+          </p>
+        </div>
+      </header>
+
+      <main className="screen-main profile-main">
+        <section className="card profile-card">
+          <div className="history-toolbar">
+            <h3 className="card-title profile-card-title">Past trips</h3>
+            <select
+              className="history-filter"
+              value={parkingType}
+              onChange={(e) => handleTypeChange(e.target.value)}
+              aria-label="Filter by parking type"
+            >
+              {PARKING_TYPE_FILTERS.map((filter) => (
+                <option key={filter.value} value={filter.value}>
+                  {filter.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {error && <p className="error-text">{error}</p>}
+
+          {!loading && trips.length === 0 && !error && (
+            <p className="history-empty">
+              No trips yet. Press Start on a parking spot to track one.
+            </p>
+          )}
+
+          <ul className="history-list">
+            {trips.map((trip) => (
+              <li key={trip.id} className="history-item">
+                <div className="history-item-body">
+                  <p className="history-item-title">
+                    {trip.address || `Parking ${trip.parking_id}`}
+                  </p>
+                  <p className="history-item-meta">
+                    {formatTripDate(trip.timestamp)}
+                    {trip.regulation || trip.parking_type
+                      ? ` · ${trip.regulation || trip.parking_type}`
+                      : ""}
+                    {trip.actual_search_time != null
+                      ? ` · searched ${Math.round(trip.actual_search_time)} min`
+                      : ""}
+                  </p>
+                </div>
+                <span
+                  className={`history-item-saved ${
+                    trip.saved_time < 0 ? "history-item-saved--negative" : ""
+                  }`}
+                >
+                  {formatSavedTime(trip.saved_time)}
+                </span>
+                <button
+                  type="button"
+                  className="history-item-delete"
+                  onClick={() => handleDelete(trip)}
+                  aria-label="Delete trip"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {trips.length < total && (
+            <button
+              type="button"
+              className="btn-ghost full-width"
+              disabled={loading}
+              onClick={() => fetchTrips({ offset: trips.length })}
+            >
+              {loading ? "Loading…" : "Load more"}
+            </button>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+}
+
+export default HistoryPage;
@@ -56,7 +56,7 @@ function LandingPage({ isLoggedIn }) {
                     Get started free
                   </Link>
                   <Link to="/map" className="btn-ghost">
-                    Try live map (demo)
+                    Try without an account
                   </Link>
                 </>
               )}
@@ -1,15 +1,205 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useState, useRef, useCallback } from "react";
 import { Link } from "react-router-dom";
 import MapComponent from "../components/maps";
-import { useJsApiLoader, Autocomplete } from "@react-google-maps/api";
+import ParkingList from "../components/parkinglist";
+import mapProvider from "../components/mapproviders";
 import ProfilePicture from "../components/profileimg";
-
-const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
-const API_BASE_URL =
-  import.meta.env.VITE_API_BASE_URL || "http://localhost:8000";
+import { estimateDriveMinutes, fetchTravelTimes } from "../services/routing";
+import { distanceMeters } from "../services/geo";
+import { getTripStats } from "../services/estimates";
+import { startTripTracking } from "../services/triptracker";
+import { parseUtcTimestamp } from "../services/time";
+import { api, createRequestSlot, isAbortError } from "../services/api";
+import {
+  addGuestTrip,
+  cancelUnfinishedGuestTrips,
+  getGuestSavedTime,
+  isGuestTrip,
+  updateGuestTrip,
+} from "../services/guesthistory";
+import {
+  listRecentSearches,
+  loadCachedSearch,
+  saveCachedSearch,
+  searchCacheKey,
+} from "../services/searchcache";
 
 const FALLBACK_CENTER = { lat: 48.13513, lng: 11.58198 }; // Munich
-const libraries = ["places"];
+const { AddressInput } = mapProvider;
+
+// Filter chips, keys match the backend's /nearest categories
+const PARKING_CATEGORIES = [
+  { value: "garage", label: "Garage" },
+  { value: "mixed", label: "Mixed" },
+  { value: "resident", label: "Resident" },
+  { value: "short_term", label: "Short-term" },
+  { value: "ev", label: "EV" },
+  { value: "disabled", label: "Disabled" },
+];
+
+const RADIUS_OPTIONS = [250, 500, 1000, 2000];
+const RESULT_LIMIT_OPTIONS = [10, 20, 50];
+// Largest radius /nearest accepts
+const MAX_RADIUS_M = 5000;
+// How far the map must be panned before "Search this area" shows up
+const SEARCH_AREA_MIN_MOVE_M = 150;
+
+// The moment search times are estimated for, as an ISO string in UTC, or
+// null for "leave now". Leaving at a time reaches the parking area one drive
+// later; arrive-by trips park at about the given time.
+const toPlannedAt = (plannedTime, origin, area) => {
+  if (!plannedTime) return null;
+  const moment = new Date(plannedTime.value);
+  if (Number.isNaN(moment.getTime())) return null;
+  if (plannedTime.mode === "depart") {
+    moment.setTime(
+      moment.getTime() + estimateDriveMinutes(origin, area) * 60 * 1000,
+    );
+  }
+  return moment.toISOString();
+};
+
+// Search time estimate plus the newest user report of each spot, in order;
+// null entries where estimating failed
+const requestEstimates = async (spots, plannedAt, signal) => {
+  // One batched request for all spots instead of one call per spot
+  let estimates = spots.map(() => null);
+  try {
+    const data = await api.post(
+      "/estimate_search_time/batch",
+      {
+        spots: spots.map((spot) => ({
+          id: String(spot.id),
+          total_capacity: spot.capacity,
+          latitude: spot.latitude,
+          longitude: spot.longitude,
+        })),
+        planned_time: plannedAt,
+      },
+      { signal, errorMessage: "Failed to estimate search times" },
+    );
+    estimates = data.estimates.map((estimate) => ({
+      minutes: estimate.estimated_search_time_minutes,
+      low: estimate.search_time_low_minutes,
+      high: estimate.search_time_high_minutes,
+      lastReport: estimate.last_report_status
+        ? {
+            status: estimate.last_report_status,
+            at: parseUtcTimestamp(estimate.last_report_at),
+          }
+        : null,
+    }));
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error("Batch estimate error", e);
+  }
+  return estimates;
+};
+
+const roundOrNull = (minutes) =>
+  Number.isFinite(minutes) ? Math.round(minutes) : null;
+
+// Location fields describing an estimate: median plus low / high range
+const toSearchFields = (estimate) => {
+  const roundedMinutes = estimate ? roundOrNull(estimate.minutes) : null;
+  return {
+    waitingTime: roundedMinutes != null ? `${roundedMinutes} minutes` : "N/A",
+    searchMinutes: roundedMinutes,
+    searchLow: estimate ? roundOrNull(estimate.low) : null,
+    searchHigh: estimate ? roundOrNull(estimate.high) : null,
+  };
+};
+
+// Batch-estimate search times and map /nearest results to map locations
+const estimateLocations = async (spots, plannedAt, signal) => {
+  const estimates = await requestEstimates(spots, plannedAt, signal);
+
+  return spots.map((spot, idx) => {
+    return {
+      id: spot.id,
+      lat: spot.latitude,
+      lng: spot.longitude,
+      ...toSearchFields(estimates[idx]),
+      label: spot.address || `Parking ${spot.id}`,
+      distance_m: spot.distance_m,
+      parkingType: spot.parking_type,
+      regulation: spot.regulation,
+      capacity: spot.capacity,
+      lastReport: estimates[idx] ? estimates[idx].lastReport : null,
+    };
+  });
+};
+
+// Curb segments are only loaded once the map is zoomed in far enough
+const SEGMENTS_MIN_ZOOM = 15;
+
+// Bounding box parameters of /segments and /heatmap
+const viewportCenter = (viewport) => ({
+  lat: (viewport.north + viewport.south) / 2,
+  lng: (viewport.east + viewport.west) / 2,
+});
+
+const toBoundsQuery = (viewport) => ({
+  min_lat: viewport.south,
+  min_lng: viewport.west,
+  max_lat: viewport.north,
+  max_lng: viewport.east,
+});
+
+// Door-to-door totals (drive + walk + search) per spot, same shape as the
+// route stats MapComponent computes for the selected spot
+const buildTravelStats = (locations, travelTimes) => {
+  const statsById = {};
+  locations.forEach((location) => {
+    const times = travelTimes[location.id];
+    if (!times) return;
+    statsById[location.id] = getTripStats({
+      ...times,
+      searchMinutes: location.searchMinutes,
+    });
+  });
+  return statsById;
+};
+
+// Fastest overall spot, only among spots with a search time estimate
+const findRecommendedId = (locations, statsById) => {
+  let bestId = null;
+  let bestTotal = Infinity;
+  locations.forEach((location) => {
+    const stats = statsById[location.id];
+    if (!stats || location.searchMinutes == null) return;
+    if (stats.totalMinutes < bestTotal) {
+      bestTotal = stats.totalMinutes;
+      bestId = location.id;
+    }
+  });
+  return bestId;
+};
+
+// Saved places: kinds a destination can be saved as, and chip icons
+const SAVED_PLACE_KINDS = [
+  { value: "home", label: "Home" },
+  { value: "work", label: "Work" },
+  { value: "favorite", label: "Favorite" },
+];
+const SAVED_PLACE_ICONS = { home: "🏠", work: "💼", favorite: "★", parking: "P" };
+
+// "5 min ago", "3 h ago", "2 d ago" for a cache timestamp in ms
+const formatAge = (savedAt) => {
+  const minutes = Math.max(0, Math.round((Date.now() - savedAt) / 60000));
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return `${Math.round(minutes / (24 * 60))} d ago`;
+};
+
+// Format a Date as the local "YYYY-MM-DDTHH:mm" string a datetime-local input uses
+const toDateTimeLocalValue = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate(),
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
 
 function MapPage({ user, onUserUpdate }) {
   const [center, setCenter] = useState(FALLBACK_CENTER);
@@ -23,12 +213,133 @@ function MapPage({ user, onUserUpdate }) {
   const [userLocation, setUserLocation] = useState(null);
   const [destination, setDestination] = useState(null);
 
-  const autocompleteRef = useRef(null);
+  // Planned trip time: 'now' | 'depart' (leave at) | 'arrive' (arrive by)
+  const [tripMode, setTripMode] = useState("now");
+  const [tripTimeValue, setTripTimeValue] = useState("");
+  const tripTime =
+    tripMode !== "now" && tripTimeValue
+      ? { mode: tripMode, value: tripTimeValue }
+      : null;
 
-  const { isLoaded, loadError } = useJsApiLoader({
-    googleMapsApiKey: GOOGLE_MAPS_API_KEY,
-    libraries,
-  });
+  // Selected filter categories; none selected means all parking
+  const [parkingCategories, setParkingCategories] = useState([]);
+
+  // Search radius, page size and paging state of /nearest
+  const [radiusM, setRadiusM] = useState(500);
+  const [resultLimit, setResultLimit] = useState(20);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [searchCenter, setSearchCenter] = useState(null);
+  const [showSearchArea, setShowSearchArea] = useState(false);
+  const lastSearchRef = useRef(null);
+  // A new search (or page) cancels the requests of the one still running
+  const [nextSearchSignal] = useState(createRequestSlot);
+
+  // Selected spot is shared by the map and the ranked list
+  const [selectedParkingId, setSelectedParkingId] = useState(null);
+  const [travelStatsById, setTravelStatsById] = useState({});
+  const [recommendedParkingId, setRecommendedParkingId] = useState(null);
+
+  const [segments, setSegments] = useState([]);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [heatmap, setHeatmap] = useState(null);
+  const viewportRef = useRef(null);
+  // Panning again drops the overlay requests of the previous viewport
+  const [nextSegmentsSignal] = useState(createRequestSlot);
+  const [nextHeatmapSignal] = useState(createRequestSlot);
+  const selectedParking =
+    locations.find((location) => location.id === selectedParkingId) || null;
+
+  // 24h forecast of the selected spot
+  const [forecast, setForecast] = useState(null);
+  useEffect(() => {
+    if (selectedParkingId == null) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const data = await api.get(
+          `/parking/${encodeURIComponent(selectedParkingId)}/forecast`,
+          { errorMessage: "Failed to fetch forecast" },
+        );
+        if (!cancelled) setForecast(data);
+      } catch (e) {
+        console.error("Forecast error", e);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedParkingId]);
+
+  // Recent destination searches (IndexedDB) and, while fresh results load
+  // or when they fail, the time the cached results on screen were saved
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [showRecentSearches, setShowRecentSearches] = useState(false);
+  const [cachedAt, setCachedAt] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const searches = await listRecentSearches();
+        if (!cancelled) setRecentSearches(searches);
+      } catch (e) {
+        console.error("Recent searches error", e);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Saved destinations and favorite parking spots of the user
+  const [savedPlaces, setSavedPlaces] = useState([]);
+  const [placeDraft, setPlaceDraft] = useState(null); // { name, kind } while saving
+  useEffect(() => {
+    if (!user?.token) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const data = await api.get("/saved_places", {
+          errorMessage: "Failed to load saved places",
+        });
+        if (!cancelled) setSavedPlaces(data);
+      } catch (e) {
+        console.error("Saved places error", e);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.token]);
+
+  // Without an account, trips are kept on the device until the visitor
+  // logs in (see services/guesthistory)
+  const isGuest = !user;
+  const [guestSavedTime, setGuestSavedTime] = useState(getGuestSavedTime);
+
+  // Trip started from the details, followed until the car is parked
+  const [activeTrip, setActiveTrip] = useState(null);
+  const stopTrackingRef = useRef(null);
+
+  // Stop following the trip when leaving the map. A guest trip left behind
+  // that way can't be finished any more.
+  useEffect(() => {
+    cancelUnfinishedGuestTrips();
+    setGuestSavedTime(getGuestSavedTime());
+    return () => {
+      if (stopTrackingRef.current) stopTrackingRef.current();
+    };
+  }, []);
+
+  const handleTravelStats = useCallback((parkingId, stats) => {
+    setTravelStatsById((prev) =>
+      prev[parkingId] === stats ? prev : { ...prev, [parkingId]: stats },
+    );
+  }, []);
+
+  // Place picked from the address suggestions, until the text changes
+  const selectedPlaceRef = useRef(null);
+
+  const { isLoaded, loadError } = mapProvider.useMapLoader();
 
   // Center map on user location at the beginning (NO parking calls yet)
   useEffect(() => {
@@ -62,25 +373,64 @@ function MapPage({ user, onUserUpdate }) {
     );
   }, []);
 
-  // Get nearest parking spots + search time, around DESTINATION
-  const fetchNearestParkingWithEstimates = async (latitude, longitude) => {
+  // Get nearest parking spots + search time around a search center (the
+  // DESTINATION, or the map area); walking times are measured to walkTo.
+  // Destination searches pass a cacheLabel so their results are cached, and
+  // may pass cached results to show until the fresh ones are in.
+  const fetchNearestParkingWithEstimates = async (
+    latitude,
+    longitude,
+    {
+      plannedTime = tripTime,
+      categories = parkingCategories,
+      radius = radiusM,
+      limit = resultLimit,
+      walkTo = destination || { lat: latitude, lng: longitude },
+      cursor = null,
+      cacheLabel = null,
+      cached = null,
+    } = {},
+  ) => {
+    const isNextPage = cursor != null;
+    const signal = nextSearchSignal();
     try {
-      setStatus("Searching for nearby parking at your destination…");
-
-      const nearestRes = await fetch(
-        `${API_BASE_URL}/nearest?latitude=${encodeURIComponent(
+      if (!isNextPage) {
+        setStatus("Searching for nearby parking at your destination…");
+        setSelectedParkingId(null);
+        setTravelStatsById({});
+        setRecommendedParkingId(null);
+        setNextCursor(null);
+        setShowSearchArea(false);
+        setSearchCenter({ lat: latitude, lng: longitude });
+        if (cached) setLocations(cached.locations);
+        setCachedAt(cached ? cached.savedAt : null);
+        lastSearchRef.current = {
           latitude,
-        )}&longitude=${encodeURIComponent(longitude)}&radius_m=500`,
-      );
-
-      if (!nearestRes.ok) {
-        throw new Error("Failed to fetch nearest parking spots");
+          longitude,
+          options: { plannedTime, categories, radius, limit, walkTo, cacheLabel },
+        };
+      } else {
+        setStatus("Loading more parking spots…");
       }
 
-      const spots = await nearestRes.json();
+      const page = await api.get("/nearest", {
+        query: {
+          latitude,
+          longitude,
+          radius_m: radius,
+          limit,
+          category: categories,
+          cursor,
+        },
+        signal,
+        errorMessage: "Failed to fetch nearest parking spots",
+      });
+      const spots = page.results || [];
+      setNextCursor(page.next_cursor || null);
 
-      if (!spots || spots.length === 0) {
+      if (!isNextPage && spots.length === 0) {
         setLocations([]);
+        setCachedAt(null);
         setStatus("No parking spots found near this destination.");
         return;
       }
@@ -89,69 +439,404 @@ function MapPage({ user, onUserUpdate }) {
         `Found ${spots.length} parking spots. Estimating search times…`,
       );
 
-      const estimates = await Promise.all(
-        spots.map(async (spot) => {
-          try {
-            const estRes = await fetch(`${API_BASE_URL}/estimate_search_time`, {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json",
-              },
-              body: JSON.stringify({
-                total_capacity: spot.capacity,
-                latitude: spot.latitude,
-                longitude: spot.longitude,
-              }),
-            });
-
-            if (!estRes.ok) {
-              throw new Error("Failed to estimate search time");
-            }
-
-            const data = await estRes.json();
-            return data.estimated_search_time_minutes;
-          } catch (e) {
-            console.error("Estimate error for spot", spot.id, e);
-            return null;
-          }
+      const mappedLocations = await estimateLocations(
+        spots,
+        toPlannedAt(plannedTime, userLocation || FALLBACK_CENTER, {
+          lat: latitude,
+          lng: longitude,
         }),
+        signal,
       );
+      const allLocations = isNextPage
+        ? [...locations, ...mappedLocations]
+        : mappedLocations;
+
+      setLocations(allLocations);
+      setCachedAt(null);
+      setError(null);
+
+      if (!isNextPage && cacheLabel) {
+        cacheSearchResults(cacheLabel, walkTo, allLocations, {
+          categories,
+          radius,
+          limit,
+          plannedTime,
+        });
+      }
 
-      const mappedLocations = spots.map((spot, idx) => {
-        const est = estimates[idx];
-        const roundedMinutes =
-          est != null && Number.isFinite(est) ? Math.round(est) : null;
-
-        return {
-          id: spot.id,
-          lat: spot.latitude,
-          lng: spot.longitude,
-          waitingTime:
-            roundedMinutes != null ? `${roundedMinutes} minutes` : "N/A",
-          label: spot.address || `Parking ${spot.id}`,
-          distance_m: spot.distance_m,
-          parkingType: spot.parking_type,
-          capacity: spot.capacity,
+      // Rank every spot by its full trip time and preselect the best one
+      setStatus("Comparing total trip times…");
+      try {
+        const travelTimes = await fetchTravelTimes(
+          userLocation || FALLBACK_CENTER,
+          mappedLocations,
+          walkTo,
+          plannedTime,
+        );
+        if (signal.aborted) return;
+        const statsById = {
+          ...(isNextPage ? travelStatsById : {}),
+          ...buildTravelStats(mappedLocations, travelTimes),
         };
-      });
+        const bestId = findRecommendedId(allLocations, statsById);
+        setTravelStatsById(statsById);
+        setRecommendedParkingId(bestId);
+        if (!isNextPage && bestId != null) setSelectedParkingId(bestId);
+      } catch (e) {
+        console.error("Travel time comparison error", e);
+      }
 
-      setLocations(mappedLocations);
       setStatus(
-        `Showing ${mappedLocations.length} parking spots near your destination.`,
+        `Showing ${allLocations.length} parking spots near your destination.`,
       );
-      setError(null);
     } catch (e) {
+      // a newer search took over
+      if (isAbortError(e)) return;
       console.error(e);
       setError(e.message || "Something went wrong while loading parking data.");
-      setStatus("Could not load parking spots for this destination.");
-      setLocations([]);
+      if (isNextPage) {
+        setStatus("Could not load more parking spots.");
+      } else if (cached) {
+        // keep the cached results on screen, labeled with their age
+        setStatus("Offline – showing your last results for this destination.");
+      } else {
+        setStatus("Could not load parking spots for this destination.");
+        setLocations([]);
+      }
+    }
+  };
+
+  const cacheSearchResults = async (label, dest, results, options) => {
+    try {
+      await saveCachedSearch({
+        key: searchCacheKey(dest, options),
+        label,
+        destination: dest,
+        locations: results,
+        savedAt: Date.now(),
+      });
+      setRecentSearches(await listRecentSearches());
+    } catch (e) {
+      console.error("Search cache error", e);
+    }
+  };
+
+  // Repeat the last search with changed options (time, filters, radius…)
+  const refreshSearch = (overrides) => {
+    const last = lastSearchRef.current;
+    if (!last) return;
+    fetchNearestParkingWithEstimates(last.latitude, last.longitude, {
+      ...last.options,
+      ...overrides,
+    });
+  };
+
+  const handleLoadMore = () => {
+    const last = lastSearchRef.current;
+    if (!last || !nextCursor) return;
+    fetchNearestParkingWithEstimates(last.latitude, last.longitude, {
+      ...last.options,
+      cursor: nextCursor,
+    });
+  };
+
+  // Search the visible map area instead of the destination's surroundings
+  const handleSearchArea = () => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+    const areaCenter = viewportCenter(viewport);
+    const halfDiagonal = distanceMeters(areaCenter, {
+      lat: viewport.north,
+      lng: viewport.east,
+    });
+    const walkTo = destination || areaCenter;
+    if (!destination) setDestination(areaCenter);
+
+    fetchNearestParkingWithEstimates(areaCenter.lat, areaCenter.lng, {
+      radius: Math.min(Math.round(halfDiagonal), MAX_RADIUS_M),
+      walkTo,
+    });
+  };
+
+  // Re-estimate the current destination whenever the planned time changes
+  const applyTripTime = (mode, value) => {
+    setTripMode(mode);
+    setTripTimeValue(value);
+    const nextTripTime = mode !== "now" && value ? { mode, value } : null;
+    refreshSearch({ plannedTime: nextTripTime });
+    const viewport = viewportRef.current;
+    if (viewport && viewport.zoom >= SEGMENTS_MIN_ZOOM) {
+      fetchSegments(viewport, nextTripTime);
+    }
+    if (viewport && showHeatmap) {
+      fetchHeatmap(viewport, nextTripTime);
+    }
+  };
+
+  const handleTripModeChange = (mode) => {
+    // Default to one hour from now when switching away from "Leave now"
+    const value =
+      mode === "now"
+        ? ""
+        : tripTimeValue ||
+          toDateTimeLocalValue(new Date(Date.now() + 60 * 60 * 1000));
+    applyTripTime(mode, value);
+  };
+
+  const handleTripTimeValueChange = (value) => {
+    applyTripTime(tripMode, value);
+  };
+
+  // Street parking segments for the visible map area
+  const fetchSegments = async (viewport, plannedTime = tripTime) => {
+    try {
+      const data = await api.get("/segments", {
+        query: {
+          ...toBoundsQuery(viewport),
+          planned_time: toPlannedAt(
+            plannedTime,
+            userLocation || FALLBACK_CENTER,
+            viewportCenter(viewport),
+          ),
+        },
+        signal: nextSegmentsSignal(),
+        errorMessage: "Failed to fetch parking segments",
+      });
+      setSegments(data.features || []);
+    } catch (e) {
+      if (!isAbortError(e)) console.error("Segments error", e);
+    }
+  };
+
+  // Predicted search-time grid for the visible map area
+  const fetchHeatmap = async (viewport, plannedTime = tripTime) => {
+    try {
+      const data = await api.get("/heatmap", {
+        query: {
+          ...toBoundsQuery(viewport),
+          planned_time: toPlannedAt(
+            plannedTime,
+            userLocation || FALLBACK_CENTER,
+            viewportCenter(viewport),
+          ),
+        },
+        signal: nextHeatmapSignal(),
+        errorMessage: "Failed to fetch heatmap",
+      });
+      setHeatmap(data);
+    } catch (e) {
+      if (!isAbortError(e)) console.error("Heatmap error", e);
+    }
+  };
+
+  const handleHeatmapToggle = () => {
+    const next = !showHeatmap;
+    setShowHeatmap(next);
+    if (!next) {
+      setHeatmap(null);
+    } else if (viewportRef.current) {
+      fetchHeatmap(viewportRef.current);
+    }
+  };
+
+  const handleViewportChange = (viewport) => {
+    viewportRef.current = viewport;
+
+    // Offer "Search this area" once the map was moved away from the results
+    const reference = searchCenter || center;
+    const viewportCenter = {
+      lat: (viewport.north + viewport.south) / 2,
+      lng: (viewport.east + viewport.west) / 2,
+    };
+    setShowSearchArea(
+      distanceMeters(reference, viewportCenter) > SEARCH_AREA_MIN_MOVE_M,
+    );
+
+    if (showHeatmap) fetchHeatmap(viewport);
+
+    if (viewport.zoom < SEGMENTS_MIN_ZOOM) {
+      setSegments([]);
+      return;
+    }
+    fetchSegments(viewport);
+  };
+
+  const handleCategoryToggle = (category) => {
+    const next = parkingCategories.includes(category)
+      ? parkingCategories.filter((c) => c !== category)
+      : [...parkingCategories, category];
+    setParkingCategories(next);
+    refreshSearch({ categories: next });
+  };
+
+  const handleRadiusChange = (value) => {
+    setRadiusM(value);
+    refreshSearch({ radius: value });
+  };
+
+  const handleResultLimitChange = (value) => {
+    setResultLimit(value);
+    refreshSearch({ limit: value });
+  };
+
+  const handlePlaceChange = (place) => {
+    selectedPlaceRef.current = place;
+    if (place) setAddress(place.label);
+  };
+
+  const handleAddressChange = (e) => {
+    setAddress(e.target.value);
+    selectedPlaceRef.current = null;
+  };
+
+  // Center on a destination and fetch parking around it; the last results
+  // for it are shown from the cache until fresh ones arrive
+  const searchAroundDestination = async (dest, label) => {
+    setDestination(dest);
+    // Searching again without editing the text reuses this destination
+    selectedPlaceRef.current = { ...dest, label };
+
+    // Center & zoom on destination
+    setCenter(dest);
+    setZoom(17);
+
+    let cached = null;
+    try {
+      cached =
+        (await loadCachedSearch(
+          searchCacheKey(dest, {
+            categories: parkingCategories,
+            radius: radiusM,
+            limit: resultLimit,
+            plannedTime: tripTime,
+          }),
+        )) || null;
+    } catch (e) {
+      console.error("Search cache error", e);
+    }
+
+    // Now fetch parking around the DESTINATION
+    await fetchNearestParkingWithEstimates(dest.lat, dest.lng, {
+      walkTo: dest,
+      cacheLabel: label,
+      cached,
+    });
+  };
+
+  // Pick a destination from the recent searches under the search box
+  const handleRecentSearchClick = async (search) => {
+    setShowRecentSearches(false);
+    setIsSearching(true);
+    setError(null);
+    setAddress(search.label);
+    try {
+      await searchAroundDestination(search.destination, search.label);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to search for this place.");
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  // One-tap search from a saved place chip
+  const handleSavedPlaceClick = async (place) => {
+    setIsSearching(true);
+    setError(null);
+    setAddress(place.address || place.name);
+    try {
+      await searchAroundDestination(
+        { lat: place.latitude, lng: place.longitude },
+        place.address || place.name,
+      );
+      // A favorite spot is opened right away instead of the recommendation
+      if (place.kind === "parking") setSelectedParkingId(place.parking_id);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to search for this place.");
+      setStatus("Could not find parking for this destination.");
+    } finally {
+      setIsSearching(false);
     }
   };
 
-  const onAutocompleteLoad = (autocompleteInstance) => {
-    autocompleteRef.current = autocompleteInstance;
+  const savePlace = async (placeIn) => {
+    const saved = await api.post("/saved_places", placeIn, {
+      errorMessage: "Failed to save place",
+    });
+    // Saving home / work again replaces the old entry with the same id
+    setSavedPlaces((prev) => [
+      ...prev.filter((place) => place.id !== saved.id),
+      saved,
+    ]);
+    return saved;
+  };
+
+  const deleteSavedPlace = async (placeId) => {
+    await api.delete(`/saved_places/${placeId}`, {
+      errorMessage: "Failed to remove saved place",
+    });
+    setSavedPlaces((prev) => prev.filter((place) => place.id !== placeId));
+  };
+
+  const handleRemoveSavedPlace = async (placeId) => {
+    try {
+      await deleteSavedPlace(placeId);
+    } catch (e) {
+      console.error(e);
+      setError(e.message);
+    }
   };
 
+  const handleSaveDestination = async (event) => {
+    event.preventDefault();
+    if (!destination || !placeDraft) return;
+    try {
+      await savePlace({
+        kind: placeDraft.kind,
+        name: placeDraft.name.trim() || address.trim() || "Saved place",
+        address: address.trim() || null,
+        latitude: destination.lat,
+        longitude: destination.lng,
+      });
+      setPlaceDraft(null);
+    } catch (e) {
+      console.error(e);
+      setError("Could not save this destination.");
+    }
+  };
+
+  // Star toggle in the spot details
+  const handleToggleFavorite = async (parking) => {
+    const favorite = savedPlaces.find(
+      (place) => place.kind === "parking" && place.parking_id === parking.id,
+    );
+    try {
+      if (favorite) {
+        await deleteSavedPlace(favorite.id);
+      } else {
+        await savePlace({
+          kind: "parking",
+          name: parking.label,
+          address: parking.label,
+          latitude: parking.lat,
+          longitude: parking.lng,
+          parking_id: parking.id,
+        });
+      }
+    } catch (e) {
+      console.error(e);
+      setError("Could not update your favorites.");
+    }
+  };
+
+  const isFavoriteParking =
+    selectedParkingId != null &&
+    savedPlaces.some(
+      (place) =>
+        place.kind === "parking" && place.parking_id === selectedParkingId,
+    );
+
   // Called when user submits the form
   const handleSearch = async (event) => {
     event.preventDefault();
@@ -163,30 +848,18 @@ function MapPage({ user, onUserUpdate }) {
     setStatus("Looking up the address…");
 
     try {
-      if (!autocompleteRef.current) {
-        throw new Error(
-          "Autocomplete is not ready yet. Try again in a second.",
-        );
-      }
+      // Typed text without picking a suggestion is looked up as is
+      const place =
+        selectedPlaceRef.current || (await mapProvider.geocode(trimmed));
 
-      const place = autocompleteRef.current.getPlace();
-
-      if (!place || !place.geometry || !place.geometry.location) {
-        throw new Error("Please select an address from the suggestions.");
+      if (!place) {
+        throw new Error("Could not find this address.");
       }
 
-      const lat = place.geometry.location.lat();
-      const lng = place.geometry.location.lng();
-
-      const dest = { lat, lng };
-      setDestination(dest);
-
-      // Center & zoom on destination
-      setCenter(dest);
-      setZoom(17);
-
-      // Now fetch parking around the DESTINATION
-      await fetchNearestParkingWithEstimates(lat, lng);
+      await searchAroundDestination(
+        { lat: place.lat, lng: place.lng },
+        place.label || trimmed,
+      );
     } catch (e) {
       console.error(e);
       setError(e.message || "Failed to search for this address.");
@@ -196,44 +869,216 @@ function MapPage({ user, onUserUpdate }) {
     }
   };
 
+  // Keeps the user's total saved time in the UI in step with the backend
+  const addToUserSavedTime = (delta) => {
+    if (!delta || typeof onUserUpdate !== "function") return;
+    onUserUpdate((prev) => {
+      if (!prev) return prev;
+      const previous =
+        typeof prev.saved_time === "number" ? prev.saved_time : 0;
+      return {
+        ...prev,
+        saved_time: previous + delta,
+      };
+    });
+  };
+
   // Called when user presses "Start" in the bottom sheet
-  const handleStartTrip = async ({ parkingId, savedTimeMinutes }) => {
-    if (!user?.token) {
-      console.warn("No auth token; cannot record history event.");
-      return;
+  const handleStartTrip = async ({
+    parkingId,
+    savedTimeMinutes,
+    searchMinutes,
+    averageSearchMinutes,
+  }) => {
+    const trip = {
+      parking_id: parkingId,
+      saved_time: savedTimeMinutes,
+      search_time: searchMinutes,
+      baseline_search_time: averageSearchMinutes,
+    };
+    try {
+      const event = isGuest
+        ? addGuestTrip(trip)
+        : await api.post("/history", trip);
+      const spot = locations.find((location) => location.id === parkingId);
+      if (spot) trackTrip(event, spot);
+
+      if (isGuest) {
+        setGuestSavedTime(getGuestSavedTime());
+        return;
+      }
+
+      // Optimistically update the user's total saved time in the UI
+      addToUserSavedTime(savedTimeMinutes);
+    } catch (err) {
+      console.error("Error while creating history event:", err);
+    }
+  };
+
+  // Report a trip milestone; the backend answers with the updated trip
+  const updateTripProgress = async (tripId, tripStatus, at = new Date()) => {
+    if (isGuestTrip(tripId)) {
+      const trip = updateGuestTrip(tripId, tripStatus, at);
+      setGuestSavedTime(getGuestSavedTime());
+      return trip;
+    }
+    return api.patch(
+      `/history/${tripId}`,
+      { status: tripStatus, at: at.toISOString() },
+      { errorMessage: "Failed to update trip" },
+    );
+  };
+
+  const stopTracking = () => {
+    if (stopTrackingRef.current) {
+      stopTrackingRef.current();
+      stopTrackingRef.current = null;
     }
+  };
+
+  const handleTripArrived = async (tripId, at) => {
+    setActiveTrip((prev) =>
+      prev && prev.id === tripId ? { ...prev, status: "arrived" } : prev,
+    );
     try {
-      const res = await fetch(`${API_BASE_URL}/history`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${user.token}`,
-        },
-        body: JSON.stringify({
-          parking_id: parkingId,
-          saved_time: savedTimeMinutes,
-        }),
-      });
+      await updateTripProgress(tripId, "arrived", at);
+    } catch (err) {
+      console.error(err);
+    }
+  };
 
-      if (!res.ok) {
-        const text = await res.text();
-        console.error("Failed to create history event:", res.status, text);
-      } else {
-        // Optimistically update the user's total saved time in the UI
-        if (typeof onUserUpdate === "function") {
-          onUserUpdate((prev) => {
-            if (!prev) return prev;
-            const previous =
-              typeof prev.saved_time === "number" ? prev.saved_time : 0;
-            return {
+  // predictedSaved is the saved time booked when the trip was started
+  const handleTripParked = async (tripId, predictedSaved, at) => {
+    stopTracking();
+    try {
+      const event = await updateTripProgress(tripId, "parked", at);
+      setActiveTrip((prev) =>
+        prev && prev.id === tripId
+          ? {
               ...prev,
-              saved_time: previous + savedTimeMinutes,
-            };
-          });
-        }
+              status: "parked",
+              actualSearchMinutes: event.actual_search_time,
+            }
+          : prev,
+      );
+
+      // The measured search time replaced the prediction in the saved time;
+      // guest trips reach the account's total through the import at login
+      if (!isGuestTrip(tripId)) {
+        addToUserSavedTime(event.saved_time - predictedSaved);
       }
     } catch (err) {
-      console.error("Error while creating history event:", err);
+      console.error(err);
+    }
+  };
+
+  const trackTrip = (event, spot) => {
+    stopTracking();
+    setActiveTrip({
+      id: event.id,
+      status: "started",
+      label: spot.label,
+      searchMinutes: event.search_time,
+      savedTime: event.saved_time,
+      actualSearchMinutes: null,
+    });
+    stopTrackingRef.current = startTripTracking({
+      spot,
+      onArrived: (at) => handleTripArrived(event.id, at),
+      onParked: (at) => handleTripParked(event.id, event.saved_time, at),
+      onError: (geoError) => console.error("Trip tracking error:", geoError),
+    });
+  };
+
+  // "I've parked" before the tracker noticed; without an arrival there is
+  // no search to measure and the prediction stays in place
+  const handleManualParked = () => {
+    if (!activeTrip) return;
+    handleTripParked(activeTrip.id, activeTrip.savedTime, new Date());
+  };
+
+  const handleCancelTrip = async () => {
+    if (!activeTrip) return;
+    stopTracking();
+    const { id: tripId, savedTime } = activeTrip;
+    setActiveTrip(null);
+    try {
+      // a cancelled trip no longer counts towards the saved time
+      const event = await updateTripProgress(tripId, "cancelled");
+      if (!isGuestTrip(tripId)) {
+        addToUserSavedTime(event.saved_time - savedTime);
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const getTripStatusText = (trip) => {
+    switch (trip.status) {
+      case "started":
+        return `Driving to ${trip.label}`;
+      case "arrived":
+        return "Arrived – looking for a spot…";
+      case "parked":
+        return trip.actualSearchMinutes != null
+          ? `Parked – searched ${Math.round(trip.actualSearchMinutes)} min${
+              trip.searchMinutes != null
+                ? ` (predicted ${Math.round(trip.searchMinutes)})`
+                : ""
+            }`
+          : "Parked";
+      default:
+        return "";
+    }
+  };
+
+  // "Free" / "Full" report from the spot details; the spot's estimate is
+  // refreshed so the report shows up right away
+  const handleReportParking = async (parkingId, reportStatus) => {
+    if (!user?.token) {
+      console.warn("No auth token; cannot report parking status.");
+      return;
+    }
+    const spot = locations.find((location) => location.id === parkingId);
+    if (!spot) return;
+    try {
+      const report = await api.post(
+        `/parking/${encodeURIComponent(parkingId)}/reports`,
+        { status: reportStatus },
+        { errorMessage: "Failed to report parking" },
+      );
+
+      // Reports only count towards "leave now" estimates
+      const [estimate] = tripTime
+        ? [null]
+        : await requestEstimates(
+            [
+              {
+                id: spot.id,
+                capacity: spot.capacity,
+                latitude: spot.lat,
+                longitude: spot.lng,
+              },
+            ],
+            null,
+          );
+
+      setLocations((prev) =>
+        prev.map((location) => {
+          if (location.id !== parkingId) return location;
+          return {
+            ...location,
+            ...(estimate ? toSearchFields(estimate) : {}),
+            lastReport: {
+              status: report.status,
+              at: parseUtcTimestamp(report.timestamp),
+            },
+          };
+        }),
+      );
+    } catch (err) {
+      console.error(err);
+      setError("Could not send your report.");
     }
   };
 
@@ -252,10 +1097,29 @@ function MapPage({ user, onUserUpdate }) {
           <h1 className="logo">Parkest</h1>
         </div>
         <div className="header-right">
-          <span className="header-username">
-            {user?.name ? `Hi, ${user.name.split(" ")[0]}` : ""}
-          </span>
-          <ProfilePicture username={user.name} mail={user.mail} size={30} />
+          {isGuest ? (
+            <>
+              <span className="header-username">
+                {guestSavedTime > 0
+                  ? `Guest · ${Math.round(guestSavedTime)} min saved`
+                  : "Guest"}
+              </span>
+              <Link
+                to="/auth"
+                className="header-login-btn"
+                title="Your trips on this device are added to your account"
+              >
+                Sign in
+              </Link>
+            </>
+          ) : (
+            <>
+              <span className="header-username">
+                {user.name ? `Hi, ${user.name.split(" ")[0]}` : ""}
+              </span>
+              <ProfilePicture username={user.name} mail={user.mail} size={30} />
+            </>
+          )}
         </div>
       </header>
 
@@ -287,15 +1151,11 @@ function MapPage({ user, onUserUpdate }) {
             <span style={{ color: "#f97373", fontWeight: 500 }}>• {error}</span>
           )}
         </div>
-        {/* Destination search with Google Places Autocomplete */}
+        <div className="map-search-panel">
+        {/* Destination search with the map provider's address suggestions */}
         <form
   onSubmit={handleSearch}
   style={{
-    position: "absolute",
-    top: "120px",
-    left: "50%",
-    transform: "translateX(-50%)",
-    zIndex: 20,
     display: "flex",
     gap: "10px",
     // top | right | bottom | left  → no right padding so button can touch edge
@@ -303,45 +1163,44 @@ function MapPage({ user, onUserUpdate }) {
     background: "rgba(15,23,42,0.85)",
     borderRadius: "999px",
     alignItems: "center",
-    width: "90%",
-    maxWidth: "480px",
+    width: "100%",
     boxShadow: "0 12px 32px rgba(15,23,42,0.65)",
     backdropFilter: "blur(12px)",
     border: "1px solid rgba(148,163,184,0.35)",
   }}
 >
-  <Autocomplete onLoad={onAutocompleteLoad}>
-    <input
-      type="text"
-      placeholder="Enter destination address"
-      value={address}
-      onChange={(e) => setAddress(e.target.value)}
-      style={{
-        flexGrow: 1,
-        flexShrink: 1,
-        flexBasis: "auto",
-
-        border: "1px solid rgba(148,163,184,0.35)",
-        outline: "none",
-        padding: "10px 14px",
-        borderRadius: "999px",
-        fontSize: "14px",
-        background: "rgba(2,6,23,0.65)",
-        color: "#e5e7eb",
-        boxShadow: "0 4px 12px rgba(0,0,0,0.25) inset",
-        width: "220px"
-      }}
-      onFocus={(e) => {
-        e.target.style.borderColor = "#60a5fa";
-        e.target.style.boxShadow =
-          "0 0 0 2px rgba(96,165,250,0.6), 0 4px 12px rgba(0,0,0,0.25) inset";
-      }}
-      onBlur={(e) => {
-        e.target.style.borderColor = "rgba(148,163,184,0.35)";
-        e.target.style.boxShadow = "0 4px 12px rgba(0,0,0,0.25) inset";
-      }}
-    />
-  </Autocomplete>
+  <AddressInput
+    onPlaceChange={handlePlaceChange}
+    placeholder="Enter destination address"
+    value={address}
+    onChange={handleAddressChange}
+    style={{
+      flexGrow: 1,
+      flexShrink: 1,
+      flexBasis: "auto",
+
+      border: "1px solid rgba(148,163,184,0.35)",
+      outline: "none",
+      padding: "10px 14px",
+      borderRadius: "999px",
+      fontSize: "14px",
+      background: "rgba(2,6,23,0.65)",
+      color: "#e5e7eb",
+      boxShadow: "0 4px 12px rgba(0,0,0,0.25) inset",
+      width: "220px"
+    }}
+    onFocus={(e) => {
+      e.target.style.borderColor = "#60a5fa";
+      e.target.style.boxShadow =
+        "0 0 0 2px rgba(96,165,250,0.6), 0 4px 12px rgba(0,0,0,0.25) inset";
+      setShowRecentSearches(true);
+    }}
+    onBlur={(e) => {
+      e.target.style.borderColor = "rgba(148,163,184,0.35)";
+      e.target.style.boxShadow = "0 4px 12px rgba(0,0,0,0.25) inset";
+      setShowRecentSearches(false);
+    }}
+  />
 
   <button
     type="submit"
@@ -365,27 +1224,298 @@ function MapPage({ user, onUserUpdate }) {
   </button>
 </form>
 
+          {/* Recent destinations while the (empty) search box has focus */}
+          {showRecentSearches && !address.trim() && recentSearches.length > 0 && (
+            <ul className="recent-searches">
+              {recentSearches.map((search) => (
+                <li key={search.key}>
+                  <button
+                    type="button"
+                    className="recent-search"
+                    // keep the input from blurring before the click lands
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => handleRecentSearchClick(search)}
+                  >
+                    <span className="recent-search-label">{search.label}</span>
+                    <span className="recent-search-age">
+                      {formatAge(search.savedAt)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {cachedAt != null && (
+            <div className="cached-results">
+              Cached results from {formatAge(cachedAt)}
+              {isSearching ? " · refreshing…" : ""}
+            </div>
+          )}
+
+          <div className="map-options-row">
+            {/* Leave now / leave at / arrive by */}
+            <div className="trip-time-picker">
+              <select
+                className="trip-time-select"
+                value={tripMode}
+                onChange={(e) => handleTripModeChange(e.target.value)}
+              >
+                <option value="now">Leave now</option>
+                <option value="depart">Leave at</option>
+                <option value="arrive">Arrive by</option>
+              </select>
+              {tripMode !== "now" && (
+                <input
+                  className="trip-time-input"
+                  type="datetime-local"
+                  value={tripTimeValue}
+                  onChange={(e) => handleTripTimeValueChange(e.target.value)}
+                />
+              )}
+            </div>
+
+            {/* Search radius and number of results */}
+            <div className="search-options">
+              <select
+                className="search-option-select"
+                value={radiusM}
+                onChange={(e) => handleRadiusChange(Number(e.target.value))}
+                aria-label="Search radius"
+              >
+                {RADIUS_OPTIONS.map((meters) => (
+                  <option key={meters} value={meters}>
+                    {meters >= 1000 ? `${meters / 1000} km` : `${meters} m`} radius
+                  </option>
+                ))}
+              </select>
+              <select
+                className="search-option-select"
+                value={resultLimit}
+                onChange={(e) => handleResultLimitChange(Number(e.target.value))}
+                aria-label="Results per page"
+              >
+                {RESULT_LIMIT_OPTIONS.map((count) => (
+                  <option key={count} value={count}>
+                    {count} results
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Map layers */}
+            <button
+              type="button"
+              className={`filter-chip ${showHeatmap ? "filter-chip--active" : ""}`}
+              aria-pressed={showHeatmap}
+              onClick={handleHeatmapToggle}
+            >
+              Heatmap
+            </button>
+          </div>
+
+          {/* Saved places: one-tap searches */}
+          {(savedPlaces.length > 0 || (destination && !isGuest)) && (
+            <div className="saved-places">
+              {savedPlaces.map((place) => (
+                <span key={place.id} className="filter-chip saved-place-chip">
+                  <button
+                    type="button"
+                    className="saved-place-open"
+                    onClick={() => handleSavedPlaceClick(place)}
+                    disabled={isSearching}
+                    title={place.address || place.name}
+                  >
+                    {SAVED_PLACE_ICONS[place.kind]} {place.name}
+                  </button>
+                  <button
+                    type="button"
+                    className="saved-place-remove"
+                    onClick={() => handleRemoveSavedPlace(place.id)}
+                    aria-label={`Remove ${place.name}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+              {destination && !placeDraft && !isGuest && (
+                <button
+                  type="button"
+                  className="filter-chip"
+                  onClick={() =>
+                    setPlaceDraft({ name: address.trim(), kind: "favorite" })
+                  }
+                >
+                  ☆ Save destination
+                </button>
+              )}
+            </div>
+          )}
+
+          {placeDraft && (
+            <form className="saved-place-form" onSubmit={handleSaveDestination}>
+              <input
+                className="saved-place-name"
+                type="text"
+                placeholder="Name"
+                value={placeDraft.name}
+                onChange={(e) =>
+                  setPlaceDraft((prev) => ({ ...prev, name: e.target.value }))
+                }
+                maxLength={100}
+              />
+              <select
+                className="search-option-select"
+                value={placeDraft.kind}
+                onChange={(e) =>
+                  setPlaceDraft((prev) => ({ ...prev, kind: e.target.value }))
+                }
+                aria-label="Save as"
+              >
+                {SAVED_PLACE_KINDS.map((kind) => (
+                  <option key={kind.value} value={kind.value}>
+                    {kind.label}
+                  </option>
+                ))}
+              </select>
+              <button type="submit" className="filter-chip filter-chip--active">
+                Save
+              </button>
+              <button
+                type="button"
+                className="filter-chip"
+                onClick={() => setPlaceDraft(null)}
+              >
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {/* Parking regulation filters */}
+          <div className="filter-chips">
+            {PARKING_CATEGORIES.map((category) => {
+              const isActive = parkingCategories.includes(category.value);
+              return (
+                <button
+                  key={category.value}
+                  type="button"
+                  className={`filter-chip ${isActive ? "filter-chip--active" : ""}`}
+                  aria-pressed={isActive}
+                  onClick={() => handleCategoryToggle(category.value)}
+                >
+                  {category.label}
+                </button>
+              );
+            })}
+          </div>
+
+          {showSearchArea && (
+            <button
+              type="button"
+              className="search-area-btn"
+              onClick={handleSearchArea}
+              disabled={isSearching}
+            >
+              Search this area
+            </button>
+          )}
+        </div>
+
+        {/* Progress of the started trip */}
+        {activeTrip && (
+          <div className="trip-status">
+            <span className="trip-status-text">
+              {getTripStatusText(activeTrip)}
+            </span>
+            {activeTrip.status === "parked" ? (
+              <button
+                type="button"
+                className="trip-status-btn"
+                onClick={() => setActiveTrip(null)}
+              >
+                Done
+              </button>
+            ) : (
+              <>
+                <button
+                  type="button"
+                  className="trip-status-btn trip-status-btn--primary"
+                  onClick={handleManualParked}
+                >
+                  I've parked
+                </button>
+                <button
+                  type="button"
+                  className="trip-status-btn"
+                  onClick={handleCancelTrip}
+                >
+                  Cancel
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        <ParkingList
+          locations={locations}
+          travelStatsById={travelStatsById}
+          selectedId={selectedParkingId}
+          recommendedId={recommendedParkingId}
+          onSelect={setSelectedParkingId}
+          hasMore={nextCursor != null}
+          onLoadMore={handleLoadMore}
+        />
 
         {userLocation && (
           <MapComponent
-            apiKey={GOOGLE_MAPS_API_KEY}
             center={center}
             zoom={zoom}
             locations={locations}
             userLocation={userLocation}
             destination={destination}
+            tripTime={tripTime}
+            selectedParking={selectedParking}
+            recommendedId={recommendedParkingId}
+            segments={segments}
+            heatmap={heatmap}
+            forecast={
+              forecast && forecast.parking_id === selectedParkingId
+                ? forecast
+                : null
+            }
+            onViewportChange={handleViewportChange}
+            onSelectParking={setSelectedParkingId}
+            onTravelStats={handleTravelStats}
             onStartTrip={handleStartTrip}
+            onReportParking={isGuest ? undefined : handleReportParking}
+            isFavorite={isFavoriteParking}
+            onToggleFavorite={isGuest ? undefined : handleToggleFavorite}
           />
         )}{" "}
         {!userLocation && (
           <MapComponent
-            apiKey={GOOGLE_MAPS_API_KEY}
             center={center}
             zoom={zoom}
             locations={locations}
             userLocation={FALLBACK_CENTER}
             destination={destination}
+            tripTime={tripTime}
+            selectedParking={selectedParking}
+            recommendedId={recommendedParkingId}
+            segments={segments}
+            heatmap={heatmap}
+            forecast={
+              forecast && forecast.parking_id === selectedParkingId
+                ? forecast
+                : null
+            }
+            onViewportChange={handleViewportChange}
+            onSelectParking={setSelectedParkingId}
+            onTravelStats={handleTravelStats}
             onStartTrip={handleStartTrip}
+            onReportParking={isGuest ? undefined : handleReportParking}
+            isFavorite={isFavoriteParking}
+            onToggleFavorite={isGuest ? undefined : handleToggleFavorite}
           />
         )}
       </main>
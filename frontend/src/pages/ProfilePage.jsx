@@ -1,9 +1,14 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import ProfilePicture from "../components/profileimg.jsx";
+import AccountSettings from "../components/accountsettings.jsx";
+import { api } from "../services/api";
 
-function formatMinutesToHoursMinutes(totalMinutes) {
-  if (!totalMinutes || totalMinutes <= 0) return "0 min";
+const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+function formatMinutesToHoursMinutes(rawMinutes) {
+  const totalMinutes = Math.round(rawMinutes || 0);
+  if (totalMinutes <= 0) return "0 min";
 
   const hours = Math.floor(totalMinutes / 60);
   const minutes = totalMinutes % 60;
@@ -17,9 +22,38 @@ function formatMinutesToHoursMinutes(totalMinutes) {
   return `${minutes}min`;
 }
 
-function ProfilePage({ user, onLogout }) {
-  const stats = user?.stats || {};
+function formatAverageMinutes(minutes) {
+  return typeof minutes === "number" ? Math.round(minutes) : 0;
+}
+
+function ProfilePage({ user, onLogout, onUserUpdate }) {
+  const [stats, setStats] = useState({});
   var time = user?.saved_time;
+
+  // Aggregated trip statistics from the backend
+  useEffect(() => {
+    if (!user?.token) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const data = await api.get("/users/me/stats", {
+          errorMessage: "Failed to load stats",
+        });
+        if (!cancelled) setStats(data);
+      } catch (err) {
+        console.error("Failed to load profile stats", err);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.token]);
+
+  const weekdays = stats.by_weekday || [];
+  const maxWeekdaySaved = Math.max(
+    1,
+    ...weekdays.map((day) => day.saved_time_minutes),
+  );
   return (
     <div className="screen profile-screen">
       <header className="header header--with-back profile-header">
@@ -64,14 +98,14 @@ function ProfilePage({ user, onLogout }) {
           <div className="stats-grid">
             <div className="stat-card">
               <p className="stat-label">Trips tracked</p>
-              <p className="stat-value">{stats.tripsTracked ?? 0}</p>
+              <p className="stat-value">{stats.trips_tracked ?? 0}</p>
               <p className="stat-subtext">drives with parking data</p>
             </div>
 
             <div className="stat-card">
               <p className="stat-label">Last 7 days</p>
               <p className="stat-value">
-                {formatMinutesToHoursMinutes(stats.lastWeekTimeSavedMinutes)}
+                {formatMinutesToHoursMinutes(stats.last_week_time_saved_minutes)}
               </p>
               <p className="stat-subtext">time saved this week</p>
             </div>
@@ -79,7 +113,8 @@ function ProfilePage({ user, onLogout }) {
             <div className="stat-card">
               <p className="stat-label">Before Parkest</p>
               <p className="stat-value">
-                {stats.avgParkingSearchBeforeMinutes ?? 0} min
+                {formatAverageMinutes(stats.avg_parking_search_before_minutes)}{" "}
+                min
               </p>
               <p className="stat-subtext">average parking search</p>
             </div>
@@ -87,11 +122,42 @@ function ProfilePage({ user, onLogout }) {
             <div className="stat-card">
               <p className="stat-label">Now with Parkest</p>
               <p className="stat-value">
-                {stats.avgParkingSearchNowMinutes ?? 0} min
+                {formatAverageMinutes(stats.avg_parking_search_now_minutes)} min
               </p>
               <p className="stat-subtext">average parking search</p>
             </div>
           </div>
+
+          {weekdays.length > 0 && (
+            <div className="weekday-chart">
+              <p className="stat-label">Time saved by weekday</p>
+              <div className="weekday-bars">
+                {weekdays.map((day) => (
+                  <div key={day.weekday} className="weekday-bar">
+                    <div
+                      className="weekday-bar-fill"
+                      style={{
+                        height: `${Math.max(
+                          0,
+                          (day.saved_time_minutes / maxWeekdaySaved) * 100,
+                        )}%`,
+                      }}
+                      title={`${day.trips} trips · ${formatMinutesToHoursMinutes(
+                        day.saved_time_minutes,
+                      )}`}
+                    />
+                    <span className="weekday-bar-label">
+                      {WEEKDAY_LABELS[day.weekday]}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <Link to="/history" className="btn-ghost full-width profile-history-link">
+            View trip history
+          </Link>
         </section>
 
         {/* Roadmap / upcoming */}
@@ -104,6 +170,12 @@ function ProfilePage({ user, onLogout }) {
           </ul>
         </section>
 
+        <AccountSettings
+          user={user}
+          onUserUpdate={onUserUpdate}
+          onAccountDeleted={onLogout}
+        />
+
         <button
           className="btn-danger full-width profile-logout-btn"
           onClick={onLogout}
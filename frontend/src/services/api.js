@@ -0,0 +1,297 @@
+// Client for the Parkest backend. Every request goes through apiRequest,
+// which adds the bearer token, retries idempotent calls on network errors
+// and overloaded responses, renews an expired access token once and logs
+// out when that fails, and turns FastAPI's `detail` payloads into ApiError
+// messages.
+
+export const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:8000";
+
+// The short-lived access token only lives in memory; the refresh token is
+// kept so a reload can start a new session without logging in again
+const REFRESH_TOKEN_STORAGE_KEY = "refreshToken";
+// Sessions from before refresh tokens stored a long-lived access token here
+const LEGACY_TOKEN_STORAGE_KEY = "authToken";
+
+// Only requests that can safely run twice are retried
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+const MAX_RETRIES = 2;
+// Doubled after every attempt: 400 ms, 800 ms
+const RETRY_BASE_DELAY_MS = 400;
+
+/**
+ * @typedef {Object} ApiRequestOptions
+ * @property {string} [method] HTTP method, GET by default
+ * @property {Record<string, any>|URLSearchParams} [query] Query parameters;
+ *   array values are repeated, null / undefined values are left out
+ * @property {any} [json] Body sent as JSON
+ * @property {Record<string, string>} [form] Body sent form-encoded
+ * @property {boolean} [auth] Send the bearer token (default true)
+ * @property {boolean} [renewSession] On 401, renew the access token and
+ *   retry once (default true)
+ * @property {AbortSignal} [signal] Cancels the request and its retries
+ * @property {"blob"} [responseType] Resolve with the raw body as a Blob,
+ *   e.g. for downloads; by default JSON is parsed and anything else is text
+ * @property {string} [errorMessage] Message used when the backend sends no detail
+ */
+
+export class ApiError extends Error {
+  constructor(message, { status = null, detail = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+localStorage.removeItem(LEGACY_TOKEN_STORAGE_KEY);
+
+let accessToken = null;
+let refreshPromise = null;
+let onUnauthorized = null;
+
+export const getAuthToken = () => accessToken;
+
+export const hasStoredSession = () =>
+  Boolean(localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY));
+
+// Stores the token pair from /token or /token/refresh
+export const setSession = ({ access_token, refresh_token }) => {
+  accessToken = access_token;
+  localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, refresh_token);
+};
+
+export const clearSession = () => {
+  accessToken = null;
+  localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
+};
+
+// Called when the session cannot be renewed, e.g. to show the login page
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+export const isAbortError = (err) => err?.name === "AbortError";
+
+// Hands out an AbortSignal per call and aborts the previous one, so only
+// the latest of a kind of request (e.g. a search) is still running
+export const createRequestSlot = () => {
+  let controller = null;
+  return () => {
+    if (controller) controller.abort();
+    controller = new AbortController();
+    return controller.signal;
+  };
+};
+
+// FastAPI sends `detail` as a string for HTTPException and as a list of
+// { loc, msg } entries for validation errors
+export const formatErrorDetail = (detail) => {
+  if (!detail) return null;
+  if (typeof detail === "string") return detail;
+  if (Array.isArray(detail)) {
+    return detail
+      .map((item) => {
+        const field = Array.isArray(item.loc)
+          ? item.loc.filter((part) => part !== "body").join(".")
+          : null;
+        return field ? `${field}: ${item.msg}` : item.msg;
+      })
+      .join("; ");
+  }
+  return JSON.stringify(detail);
+};
+
+const buildUrl = (path, query) => {
+  if (!query) return `${API_BASE_URL}${path}`;
+  const params =
+    query instanceof URLSearchParams ? query : new URLSearchParams();
+  if (!(query instanceof URLSearchParams)) {
+    Object.entries(query).forEach(([key, value]) => {
+      if (value == null) return;
+      if (Array.isArray(value)) {
+        value.forEach((item) => params.append(key, item));
+      } else {
+        params.set(key, value);
+      }
+    });
+  }
+  const search = params.toString();
+  return search ? `${API_BASE_URL}${path}?${search}` : `${API_BASE_URL}${path}`;
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Request aborted", "AbortError"));
+    });
+  });
+
+const readBody = async (res, responseType) => {
+  if (res.status === 204) return null;
+  if (responseType === "blob" && res.ok) return res.blob();
+  const type = res.headers.get("Content-Type") || "";
+  if (type.includes("application/json")) return res.json();
+  return res.text();
+};
+
+// Tabs share the refresh token in localStorage, so they take turns
+// renewing it; each tab reads the token only once it holds the lock
+const REFRESH_LOCK_NAME = "parkest-token-refresh";
+
+const withRefreshLock = (fn) =>
+  typeof navigator !== "undefined" && navigator.locks
+    ? navigator.locks.request(REFRESH_LOCK_NAME, fn)
+    : fn();
+
+const rotateStoredToken = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+  if (!refreshToken) {
+    throw new ApiError("Not logged in.", { status: 401 });
+  }
+  try {
+    const tokens = await apiRequest("/token/refresh", {
+      method: "POST",
+      json: { refresh_token: refreshToken },
+      auth: false,
+      errorMessage: "Your session has expired.",
+    });
+    setSession(tokens);
+    return tokens.access_token;
+  } catch (err) {
+    if (err.status === 401) {
+      // another tab (without the lock) renewed it first; use its successor
+      const current = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+      if (current && current !== refreshToken) return rotateStoredToken();
+      // only a rejected token ends the session, not a network error
+      clearSession();
+    }
+    throw err;
+  }
+};
+
+// Trades the stored refresh token for a new token pair. Concurrent callers
+// share one request, since each refresh token only works once.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = withRefreshLock(rotateStoredToken);
+    refreshPromise
+      .catch(() => {})
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Ends the session on the backend too, so neither token can be used again;
+// the local session is cleared even when the backend can't be reached
+export async function logout() {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+  try {
+    await apiRequest("/logout", {
+      method: "POST",
+      json: { refresh_token: refreshToken },
+      renewSession: false,
+    });
+  } catch (err) {
+    console.error("Logout request failed", err);
+  } finally {
+    clearSession();
+  }
+}
+
+/**
+ * Sends a request to the backend and resolves with the parsed response body.
+ * @param {string} path Path below API_BASE_URL, e.g. "/history"
+ * @param {ApiRequestOptions} [options]
+ * @returns {Promise<any>}
+ * @throws {ApiError} for error responses and unreachable backends
+ */
+export async function apiRequest(path, options = {}) {
+  const {
+    method = "GET",
+    query,
+    json,
+    form,
+    auth = true,
+    renewSession = true,
+    signal,
+    responseType,
+    errorMessage = "Request failed.",
+  } = options;
+
+  const headers = {};
+  let body;
+  if (json !== undefined) {
+    headers["Content-Type"] = "application/json";
+    body = JSON.stringify(json);
+  } else if (form) {
+    headers["Content-Type"] = "application/x-www-form-urlencoded";
+    body = new URLSearchParams(form);
+  }
+  const token = auth ? accessToken : null;
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const url = buildUrl(path, query);
+  const retries = IDEMPOTENT_METHODS.includes(method) ? MAX_RETRIES : 0;
+
+  for (let attempt = 0; ; attempt += 1) {
+    let res;
+    try {
+      res = await fetch(url, { method, headers, body, signal });
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      if (attempt < retries) {
+        await wait(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+        continue;
+      }
+      throw new ApiError("Could not reach the server.", { detail: err.message });
+    }
+
+    if (RETRY_STATUSES.includes(res.status) && attempt < retries) {
+      await wait(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+      continue;
+    }
+
+    const data = await readBody(res, responseType).catch(() => null);
+    if (res.ok) return data;
+
+    // An expired or revoked token is renewed once; requests without one
+    // (like the login itself) get their 401 back as a normal error
+    if (res.status === 401 && token) {
+      if (renewSession) {
+        let renewed = false;
+        try {
+          await refreshSession();
+          renewed = true;
+        } catch (err) {
+          if (err.status === 401 && onUnauthorized) onUnauthorized();
+        }
+        if (renewed) {
+          return apiRequest(path, { ...options, renewSession: false });
+        }
+      } else if (onUnauthorized) {
+        onUnauthorized();
+      }
+    }
+
+    const detail = data && typeof data === "object" ? data.detail : null;
+    throw new ApiError(formatErrorDetail(detail) || errorMessage, {
+      status: res.status,
+      detail,
+    });
+  }
+}
+
+export const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: "GET" }),
+  post: (path, json, options) =>
+    apiRequest(path, { ...options, method: "POST", json }),
+  patch: (path, json, options) =>
+    apiRequest(path, { ...options, method: "PATCH", json }),
+  delete: (path, options) => apiRequest(path, { ...options, method: "DELETE" }),
+};
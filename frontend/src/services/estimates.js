@@ -0,0 +1,32 @@
+// Range shown for a spot's search time, e.g. "6–11 min"
+export const formatSearchRange = (location) => {
+  if (location.searchMinutes == null) return "N/A";
+  const { searchLow, searchHigh } = location;
+  if (searchLow == null || searchHigh == null || searchLow === searchHigh) {
+    return `${location.searchMinutes} min`;
+  }
+  return `${searchLow}–${searchHigh} min`;
+};
+
+// How much the model's trees agree: the width of the range relative to
+// the median estimate
+export const getEstimateConfidence = (location) => {
+  const { searchMinutes, searchLow, searchHigh } = location;
+  if (searchMinutes == null || searchLow == null || searchHigh == null) {
+    return "low";
+  }
+  const spread = (searchHigh - searchLow) / Math.max(searchMinutes, 1);
+  if (spread <= 0.5) return "high";
+  if (spread <= 1) return "medium";
+  return "low";
+};
+
+// Door-to-door totals for one spot:
+// carMinutes + walkMinutes + searchMinutes = totalMinutes.
+// A spot without a search estimate counts as 0 minutes of searching.
+export const getTripStats = ({ carMinutes, walkMinutes, searchMinutes }) => ({
+  carMinutes,
+  walkMinutes,
+  searchMinutes: searchMinutes ?? null,
+  totalMinutes: carMinutes + walkMinutes + (searchMinutes ?? 0),
+});
@@ -0,0 +1,162 @@
+// Trips of visitors without an account, kept in localStorage in the shape of
+// the backend's history rows. They are imported into the account when the
+// visitor logs in (see importGuestHistory).
+import { api } from "./api";
+
+const STORAGE_KEY = "guestHistory";
+
+// Same lifecycle as PATCH /history/{id} on the backend
+const TRIP_TRANSITIONS = {
+  started: ["arrived", "parked", "cancelled"],
+  arrived: ["parked", "cancelled"],
+};
+
+// Constants of the backend's search time model (parking_time_estimators)
+const FIXED_SEARCH_TIME = 2.5;
+const TIME_PER_SPOT = 1.2;
+const FACTOR = 2;
+
+// Measured arrival-to-parked minutes on the scale of the predicted search
+// times, like search_time_from_measured on the backend
+const searchTimeFromMeasured = (minutes) =>
+  FACTOR * (Math.max(minutes, TIME_PER_SPOT) + FIXED_SEARCH_TIME);
+
+export const listGuestTrips = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const saveGuestTrips = (trips) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(trips));
+};
+
+// Total saved time of all guest trips, like users.saved_time
+export const getGuestSavedTime = () =>
+  listGuestTrips().reduce((sum, trip) => sum + (trip.saved_time || 0), 0);
+
+export const addGuestTrip = ({
+  parking_id,
+  saved_time,
+  search_time,
+  baseline_search_time,
+}) => {
+  const trip = {
+    id: `guest-${Date.now()}`,
+    parking_id,
+    saved_time,
+    search_time,
+    baseline_search_time,
+    status: "started",
+    arrived_at: null,
+    parked_at: null,
+    actual_search_time: null,
+    timestamp: new Date().toISOString(),
+  };
+  saveGuestTrips([...listGuestTrips(), trip]);
+  return trip;
+};
+
+// Applies a trip milestone and returns the updated trip; once parked after
+// arriving, the measured search time replaces the prediction
+export const updateGuestTrip = (tripId, status, at = new Date()) => {
+  const trips = listGuestTrips();
+  const trip = trips.find((t) => t.id === tripId);
+  if (!trip) throw new Error("Trip not found");
+  if (!(TRIP_TRANSITIONS[trip.status] || []).includes(status)) {
+    throw new Error(`Cannot mark a ${trip.status} trip as ${status}`);
+  }
+
+  trip.status = status;
+  if (status === "arrived") {
+    trip.arrived_at = at.toISOString();
+  } else if (status === "cancelled") {
+    trip.saved_time = 0;
+  } else if (status === "parked") {
+    trip.parked_at = at.toISOString();
+    if (trip.arrived_at) {
+      trip.actual_search_time = Math.max(
+        0,
+        (at.getTime() - new Date(trip.arrived_at).getTime()) / 60000,
+      );
+      if (trip.baseline_search_time != null) {
+        trip.saved_time =
+          trip.baseline_search_time -
+          searchTimeFromMeasured(trip.actual_search_time);
+      }
+    }
+  }
+  saveGuestTrips(trips);
+  return trip;
+};
+
+export const isGuestTrip = (tripId) => String(tripId).startsWith("guest-");
+
+// A trip is only followed while the map that started it stays open. One
+// that is still unfinished afterwards can't end any more, so it is cancelled
+// and no longer counts towards the saved time.
+export const cancelUnfinishedGuestTrips = () => {
+  const trips = listGuestTrips();
+  const unfinished = trips.filter((trip) => TRIP_TRANSITIONS[trip.status]);
+  if (!unfinished.length) return;
+  unfinished.forEach((trip) => {
+    trip.status = "cancelled";
+    trip.saved_time = 0;
+  });
+  saveGuestTrips(trips);
+};
+
+// Limit of POST /history/import
+const MAX_IMPORT_TRIPS = 500;
+
+let importPromise = null;
+
+const postTrips = (trips) =>
+  api.post(
+    "/history/import",
+    {
+      // the backend derives saved and measured search times itself
+      trips: trips.map((trip) => ({
+        client_id: trip.id,
+        parking_id: trip.parking_id,
+        search_time: trip.search_time,
+        baseline_search_time: trip.baseline_search_time,
+        status: trip.status,
+        arrived_at: trip.arrived_at,
+        parked_at: trip.parked_at,
+        timestamp: trip.timestamp,
+      })),
+    },
+    { errorMessage: "Could not import your guest trips." },
+  );
+
+const postFinishedTrips = async () => {
+  cancelUnfinishedGuestTrips();
+  const trips = listGuestTrips();
+  if (!trips.length) return null;
+
+  // each imported batch leaves the device, so a failed one is retried alone
+  let savedTime = null;
+  for (let start = 0; start < trips.length; start += MAX_IMPORT_TRIPS) {
+    const batch = trips.slice(start, start + MAX_IMPORT_TRIPS);
+    const result = await postTrips(batch);
+    const sentIds = new Set(batch.map((trip) => trip.id));
+    saveGuestTrips(listGuestTrips().filter((trip) => !sentIds.has(trip.id)));
+    savedTime = result.saved_time;
+  }
+  return savedTime;
+};
+
+// Moves the guest trips into the logged-in account; resolves with
+// the account's new total saved time, or null when there was nothing to
+// import. Calls made while an import runs share it.
+export const importGuestHistory = () => {
+  if (!importPromise) {
+    importPromise = postFinishedTrips().finally(() => {
+      importPromise = null;
+    });
+  }
+  return importPromise;
+};
@@ -0,0 +1,118 @@
+// Routing with the Google Maps JavaScript API: Directions for a single leg,
+// the Distance Matrix for many parking spots at once. Needs the Maps script,
+// so it only works with the Google map provider.
+
+// Google allows at most 25 origins or destinations per request
+const MAX_SPOTS_PER_REQUEST = 25;
+
+// Google only accepts a departure time for driving, and only one in the
+// future. For "arrive by" trips we ask for traffic around the arrival time.
+const getDrivingOptions = (tripTime) => {
+  if (!tripTime) return undefined;
+  const departureTime = new Date(tripTime.value);
+  if (
+    Number.isNaN(departureTime.getTime()) ||
+    departureTime.getTime() <= Date.now()
+  ) {
+    return undefined;
+  }
+  return { departureTime };
+};
+
+const getTravelMode = (mode) => {
+  const { TravelMode } = window.google.maps;
+  return mode === "walking" ? TravelMode.WALKING : TravelMode.DRIVING;
+};
+
+const getGoogleMaps = () => {
+  if (!window.google?.maps) {
+    throw new Error("Google Maps is not loaded.");
+  }
+  return window.google.maps;
+};
+
+export const fetchRoute = ({ origin, destination, mode, tripTime }) =>
+  new Promise((resolve, reject) => {
+    const { DirectionsService } = getGoogleMaps();
+    new DirectionsService().route(
+      {
+        origin,
+        destination,
+        travelMode: getTravelMode(mode),
+        drivingOptions:
+          mode === "walking" ? undefined : getDrivingOptions(tripTime),
+      },
+      (result, status) => {
+        const route = result?.routes?.[0];
+        if (status !== "OK" || !route) {
+          reject(new Error(`Directions request failed: ${status}`));
+          return;
+        }
+        const legs = route.legs || [];
+        const seconds = legs.reduce(
+          (sum, leg) => sum + (leg.duration?.value || 0),
+          0,
+        );
+        resolve({
+          durationMinutes: seconds / 60,
+          distanceMeters: legs.reduce(
+            (sum, leg) => sum + (leg.distance?.value || 0),
+            0,
+          ),
+          path: route.overview_path.map((point) => ({
+            lat: point.lat(),
+            lng: point.lng(),
+          })),
+        });
+      },
+    );
+  });
+
+const getDistanceMatrix = (request) =>
+  new Promise((resolve, reject) => {
+    const service = new window.google.maps.DistanceMatrixService();
+    service.getDistanceMatrix(request, (response, status) => {
+      if (status !== "OK") {
+        reject(new Error(`Distance matrix request failed: ${status}`));
+        return;
+      }
+      resolve(response);
+    });
+  });
+
+export async function fetchTravelTimes(origin, spots, destination, tripTime) {
+  getGoogleMaps();
+  const travelTimes = {};
+
+  for (let i = 0; i < spots.length; i += MAX_SPOTS_PER_REQUEST) {
+    const group = spots.slice(i, i + MAX_SPOTS_PER_REQUEST);
+    const positions = group.map((spot) => ({ lat: spot.lat, lng: spot.lng }));
+
+    const [car, walk] = await Promise.all([
+      getDistanceMatrix({
+        origins: [origin],
+        destinations: positions,
+        travelMode: getTravelMode("driving"),
+        drivingOptions: getDrivingOptions(tripTime),
+      }),
+      getDistanceMatrix({
+        origins: positions,
+        destinations: [destination],
+        travelMode: getTravelMode("walking"),
+      }),
+    ]);
+
+    group.forEach((spot, idx) => {
+      const carElement = car.rows[0]?.elements[idx];
+      const walkElement = walk.rows[idx]?.elements[0];
+      if (carElement?.status !== "OK" || walkElement?.status !== "OK") return;
+
+      travelTimes[spot.id] = {
+        carMinutes: carElement.duration.value / 60,
+        walkMinutes: walkElement.duration.value / 60,
+      };
+    });
+  }
+
+  return travelTimes;
+}
@@ -0,0 +1,50 @@
+// Drive and walk legs for trip totals, independent of the map provider.
+// VITE_ROUTING_PROVIDER picks "google", "osrm" or "straightline"; without it
+// Google is used together with the Google map and OSRM otherwise. When the
+// routing service fails, legs are estimated in a straight line instead and
+// flagged as approximate.
+import * as google from "./google";
+import * as osrm from "./osrm";
+import * as straightline from "./straightline";
+
+const BACKENDS = { google, osrm, straightline };
+
+const resolveBackendName = () => {
+  const configured = import.meta.env.VITE_ROUTING_PROVIDER;
+  if (configured && BACKENDS[configured]) return configured;
+  const mapProvider =
+    import.meta.env.VITE_MAP_PROVIDER ||
+    (import.meta.env.VITE_GOOGLE_MAPS_API_KEY ? "google" : "leaflet");
+  return mapProvider === "google" ? "google" : "osrm";
+};
+
+export const routingBackendName = resolveBackendName();
+const backend = BACKENDS[routingBackendName];
+
+// { durationMinutes, distanceMeters, path, approximate } for driving or
+// walking from origin to destination; backends flag legs they only estimated
+export const fetchRoute = async (request) => {
+  try {
+    return { approximate: false, ...(await backend.fetchRoute(request)) };
+  } catch (e) {
+    if (backend === straightline) throw e;
+    console.error("Routing error, using a straight-line estimate", e);
+    return { ...(await straightline.fetchRoute(request)), approximate: true };
+  }
+};
+
+// Rough drive time without a request, for when a route isn't worth waiting for
+export const estimateDriveMinutes = (origin, destination) =>
+  straightline.estimateLeg(origin, destination, "driving").durationMinutes;
+
+// { [spotId]: { carMinutes, walkMinutes } } for driving origin → spot and
+// walking spot → destination; spots without a route are left out
+export const fetchTravelTimes = async (origin, spots, destination, tripTime) => {
+  try {
+    return await backend.fetchTravelTimes(origin, spots, destination, tripTime);
+  } catch (e) {
+    if (backend === straightline) throw e;
+    console.error("Routing error, using straight-line estimates", e);
+    return straightline.fetchTravelTimes(origin, spots, destination, tripTime);
+  }
+};
@@ -0,0 +1,95 @@
+// Routing with an OSRM-compatible server: /route for a single leg, /table
+// for many parking spots at once. Trip times are ignored, OSRM has no
+// traffic data.
+import { estimateLeg } from "./straightline";
+
+// Self-hosters point this at their own routing server
+const OSRM_URL =
+  import.meta.env.VITE_OSRM_URL || "https://router.project-osrm.org";
+// osrm-routed serves a single profile and ignores the one in the URL, so
+// walking needs its own server running the foot profile. Without one,
+// walking legs are straight-line estimates.
+const OSRM_FOOT_URL = import.meta.env.VITE_OSRM_FOOT_URL;
+
+// OSRM's default limit for /table is 100 coordinates
+const MAX_SPOTS_PER_REQUEST = 90;
+
+const toCoordinates = (points) =>
+  points.map((point) => `${point.lng},${point.lat}`).join(";");
+
+const requestOsrm = async (service, mode, points, query) => {
+  const [baseUrl, profile] =
+    mode === "walking" ? [OSRM_FOOT_URL, "foot"] : [OSRM_URL, "driving"];
+  const res = await fetch(
+    `${baseUrl}/${service}/v1/${profile}/${toCoordinates(points)}?${query}`,
+  );
+  if (!res.ok) {
+    throw new Error(`Routing request failed: ${res.status}`);
+  }
+  const data = await res.json();
+  if (data.code !== "Ok") {
+    throw new Error(`Routing request failed: ${data.code}`);
+  }
+  return data;
+};
+
+export const fetchRoute = async ({ origin, destination, mode }) => {
+  if (mode === "walking" && !OSRM_FOOT_URL) {
+    return {
+      ...estimateLeg(origin, destination, mode),
+      path: [origin, destination],
+      approximate: true,
+    };
+  }
+  const data = await requestOsrm(
+    "route",
+    mode,
+    [origin, destination],
+    "overview=full&geometries=geojson",
+  );
+  const route = data.routes?.[0];
+  if (!route) {
+    throw new Error("Routing request failed: NoRoute");
+  }
+  return {
+    durationMinutes: route.duration / 60,
+    distanceMeters: route.distance,
+    path: route.geometry.coordinates.map(([lng, lat]) => ({ lat, lng })),
+  };
+};
+
+export async function fetchTravelTimes(origin, spots, destination) {
+  const travelTimes = {};
+
+  for (let i = 0; i < spots.length; i += MAX_SPOTS_PER_REQUEST) {
+    const group = spots.slice(i, i + MAX_SPOTS_PER_REQUEST);
+
+    // origin → every spot, and every spot → destination
+    const [car, walk] = await Promise.all([
+      requestOsrm("table", "driving", [origin, ...group], "sources=0"),
+      OSRM_FOOT_URL
+        ? requestOsrm(
+            "table",
+            "walking",
+            [...group, destination],
+            `destinations=${group.length}`,
+          )
+        : null,
+    ]);
+
+    group.forEach((spot, idx) => {
+      const carSeconds = car.durations?.[0]?.[idx + 1];
+      const walkMinutes = walk
+        ? walk.durations?.[idx]?.[0] / 60
+        : estimateLeg(spot, destination, "walking").durationMinutes;
+      if (carSeconds == null || !Number.isFinite(walkMinutes)) return;
+
+      travelTimes[spot.id] = {
+        carMinutes: carSeconds / 60,
+        walkMinutes,
+      };
+    });
+  }
+
+  return travelTimes;
+}
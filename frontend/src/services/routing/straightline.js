@@ -0,0 +1,36 @@
+// Offline stand-in for a routing service: the great-circle distance made
+// longer by a detour factor, at an average city speed. Always answers, so
+// trip totals can be compared even without a routing server.
+import { distanceMeters } from "../geo";
+
+// Streets are rarely straight; roughly what real city routes add on top
+const DETOUR_FACTOR = 1.3;
+const SPEED_KMH = {
+  driving: 25,
+  walking: 4.8,
+};
+
+export const estimateLeg = (origin, destination, mode) => {
+  const meters = distanceMeters(origin, destination) * DETOUR_FACTOR;
+  const speed = SPEED_KMH[mode] || SPEED_KMH.driving;
+  return {
+    durationMinutes: (meters / 1000 / speed) * 60,
+    distanceMeters: meters,
+  };
+};
+
+export const fetchRoute = async ({ origin, destination, mode }) => ({
+  ...estimateLeg(origin, destination, mode),
+  path: [origin, destination],
+});
+
+export async function fetchTravelTimes(origin, spots, destination) {
+  const travelTimes = {};
+  spots.forEach((spot) => {
+    travelTimes[spot.id] = {
+      carMinutes: estimateLeg(origin, spot, "driving").durationMinutes,
+      walkMinutes: estimateLeg(spot, destination, "walking").durationMinutes,
+    };
+  });
+  return travelTimes;
+}
@@ -0,0 +1,93 @@
+// Recent destination searches and their last results, kept in IndexedDB so
+// they can be shown right away (and when the backend is unreachable)
+const DB_NAME = "parkest";
+const DB_VERSION = 1;
+const STORE = "searches";
+// Older entries are dropped once there are more than this; one destination
+// can have an entry per set of search options
+const MAX_CACHED_SEARCHES = 20;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB not supported."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "key" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // allow a later retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs fn(store) in a transaction and resolves with the request's result
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Nearby destinations (~10 m apart) share one cache entry
+const destinationKey = ({ lat, lng }) => `${lat.toFixed(4)},${lng.toFixed(4)}`;
+
+// Results depend on the filters, radius, page size and planned time too,
+// so each combination is cached on its own
+export const searchCacheKey = (
+  destination,
+  { categories = [], radius, limit, plannedTime = null },
+) =>
+  [
+    destinationKey(destination),
+    [...categories].sort().join("+") || "all",
+    radius,
+    limit,
+    plannedTime ? `${plannedTime.mode}@${plannedTime.value}` : "now",
+  ].join("|");
+
+// { key, label, destination, locations, savedAt } or undefined
+export const loadCachedSearch = (key) =>
+  withStore("readonly", (store) => store.get(key));
+
+// Every cached entry, newest first
+const listCachedSearches = async () => {
+  const searches = await withStore("readonly", (store) => store.getAll());
+  return searches.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+// Newest first, one per destination
+export const listRecentSearches = async () => {
+  const seen = new Set();
+  return (await listCachedSearches()).filter((search) => {
+    const key = destinationKey(search.destination);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+export const saveCachedSearch = async (search) => {
+  await withStore("readwrite", (store) => store.put(search));
+
+  const searches = await listCachedSearches();
+  const stale = searches.slice(MAX_CACHED_SEARCHES);
+  if (stale.length) {
+    await withStore("readwrite", (store) => {
+      stale.forEach((old) => store.delete(old.key));
+    });
+  }
+};
@@ -0,0 +1,5 @@
+// The backend stores naive UTC timestamps
+export function parseUtcTimestamp(timestamp) {
+  const hasZone = /([zZ]|[+-]\d\d:\d\d)$/.test(timestamp);
+  return new Date(hasZone ? timestamp : `${timestamp}Z`);
+}
@@ -0,0 +1,58 @@
+// Follows a started trip with the device's geolocation: "arrived" once the
+// car is close to the chosen spot, "parked" once it then stays put.
+import { distanceMeters } from "./geo";
+
+// Within this distance of the spot the parking search begins
+const ARRIVAL_RADIUS_M = 150;
+// Moving less than this counts as standing still (GPS jitter included)
+const STOP_RADIUS_M = 20;
+// Standing still this long after arriving means the car is parked
+const STOP_DURATION_MS = 60 * 1000;
+
+// Returns a function that stops tracking
+export function startTripTracking({ spot, onArrived, onParked, onError }) {
+  if (!navigator.geolocation) {
+    if (typeof onError === "function") {
+      onError(new Error("Geolocation not supported."));
+    }
+    return () => {};
+  }
+
+  let arrived = false;
+  let stopAnchor = null; // { position, time } where the car last came to rest
+
+  const watchId = navigator.geolocation.watchPosition(
+    (pos) => {
+      const position = { lat: pos.coords.latitude, lng: pos.coords.longitude };
+      const time = pos.timestamp;
+
+      if (!arrived) {
+        if (distanceMeters(position, spot) <= ARRIVAL_RADIUS_M) {
+          arrived = true;
+          stopAnchor = { position, time };
+          onArrived(new Date(time));
+        }
+        return;
+      }
+
+      if (distanceMeters(position, stopAnchor.position) > STOP_RADIUS_M) {
+        stopAnchor = { position, time };
+        return;
+      }
+
+      if (time - stopAnchor.time >= STOP_DURATION_MS) {
+        navigator.geolocation.clearWatch(watchId);
+        onParked(new Date(stopAnchor.time));
+      }
+    },
+    (geoError) => {
+      if (typeof onError === "function") onError(geoError);
+    },
+    {
+      enableHighAccuracy: true,
+      maximumAge: 5000,
+    },
+  );
+
+  return () => navigator.geolocation.clearWatch(watchId);
+}
@@ -2,6 +2,11 @@
 CREATE EXTENSION IF NOT EXISTS postgis;
 
 -- Drop tables if they exist
+DROP TABLE IF EXISTS parking_reports;
+DROP TABLE IF EXISTS saved_places;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS revoked_tokens;
+DROP TABLE IF EXISTS user_tokens;
 DROP TABLE IF EXISTS users;
 DROP TABLE IF EXISTS parking;
 DROP TABLE IF EXISTS history;
@@ -12,8 +17,10 @@ CREATE TABLE users (
     name VARCHAR(100) NOT NULL,
     saved_time NUMERIC DEFAULT 0,
     email VARCHAR(255) NOT NULL UNIQUE,
+    pending_email VARCHAR(255),  -- new email until it is confirmed
     hashed_password VARCHAR(255) NOT NULL,
-    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,  -- false until the email address is verified
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,  -- may retrain and switch models
     created_at TIMESTAMP WITHOUT TIME ZONE NOT NULL DEFAULT NOW()
 );
 
@@ -29,17 +36,81 @@ CREATE TABLE parking (
     latitude DOUBLE PRECISION,
     longitude DOUBLE PRECISION,
     parking_type VARCHAR(50),
-    geom GEOGRAPHY(Point, 4326)  -- GIS column for coordinates
+    regulation VARCHAR(100),  -- parkregel_gruppe, e.g. Bewohnerparken
+    geom GEOGRAPHY(Point, 4326),  -- GIS column for coordinates
+    segment GEOGRAPHY(LineString, 4326)  -- curb geometry of street parking
 );
 
 CREATE TABLE history (
     id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id),
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     parking_id VARCHAR(200) REFERENCES parking(id),
     saved_time NUMERIC,
+    search_time NUMERIC,           -- predicted search minutes at the chosen spot
+    baseline_search_time NUMERIC,  -- average predicted search minutes of all candidates
+    status VARCHAR(20) NOT NULL DEFAULT 'started',  -- started | arrived | parked | cancelled
+    arrived_at TIMESTAMP WITHOUT TIME ZONE,  -- reached the area around the spot
+    parked_at TIMESTAMP WITHOUT TIME ZONE,   -- car came to a stop
+    actual_search_time NUMERIC,              -- measured minutes from arrival to parked
+    timestamp TIMESTAMP WITHOUT TIME ZONE NOT NULL DEFAULT NOW(),
+    client_id VARCHAR(64),                   -- device id of a trip imported from guest mode
+    imported BOOLEAN NOT NULL DEFAULT FALSE, -- imported trips are not used for training
+    UNIQUE (user_id, client_id)
+);
+
+-- "free" / "full" reports of users standing at a spot
+CREATE TABLE parking_reports (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    parking_id VARCHAR(200) REFERENCES parking(id),
+    status VARCHAR(10) NOT NULL,  -- free | full
     timestamp TIMESTAMP WITHOUT TIME ZONE NOT NULL DEFAULT NOW()
 );
 
+CREATE INDEX ix_parking_reports_parking_time ON parking_reports (parking_id, timestamp DESC);
+
+-- Destinations and parking spots a user saved for one-tap searches
+CREATE TABLE saved_places (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL,  -- home | work | favorite | parking
+    name VARCHAR(100) NOT NULL,
+    address VARCHAR(255),
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    parking_id VARCHAR(200) REFERENCES parking(id),  -- set for kind = parking
+    created_at TIMESTAMP WITHOUT TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX ix_saved_places_user ON saved_places (user_id);
+
+-- Single-use refresh tokens; only a SHA-256 hash of the token is stored
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITHOUT TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITHOUT TIME ZONE,  -- set when rotated or logged out
+    created_at TIMESTAMP WITHOUT TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Single-use email verification / password reset tokens, stored hashed
+CREATE TABLE user_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL,  -- verify_email | reset_password | change_email
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITHOUT TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITHOUT TIME ZONE,
+    created_at TIMESTAMP WITHOUT TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Access tokens ended by /logout before they expire
+CREATE TABLE revoked_tokens (
+    jti VARCHAR(32) PRIMARY KEY,
+    expires_at TIMESTAMP WITHOUT TIME ZONE NOT NULL
+);
+
 -- Import CSV (lat/lon will populate numeric columns)
 COPY parking (id, address, capacity, latitude, longitude, parking_type)
 FROM '/config/data/combined_parking_data.csv'
@@ -50,5 +121,40 @@ CSV HEADER;
 UPDATE parking
 SET geom = ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography;
 
+-- Street parking segments come as LINESTRINGs in EPSG:25832 (ETRS89 / UTM 32N)
+CREATE TABLE parking_segments_source (
+    fid VARCHAR(200),
+    angebot TEXT,
+    parkregel_beschreibung TEXT,
+    parkregel_gruppe TEXT,
+    parkregel_id TEXT,
+    parkregel_name TEXT,
+    prm_name TEXT,
+    strasse TEXT,
+    geoportal_class TEXT,
+    shape TEXT
+);
+
+COPY parking_segments_source
+FROM '/config/data/opendata_parking_lots.csv'
+DELIMITER ','
+CSV HEADER;
+
+-- Attach the curb geometry (converted to WGS84) to its parking row
+UPDATE parking p
+SET segment = ST_Transform(ST_GeomFromText(s.shape, 25832), 4326)::geography
+FROM parking_segments_source s
+WHERE s.fid = p.id
+  AND s.shape LIKE 'LINESTRING%';
+
+-- Parking regulation group (resident, mixed, ...) of each street segment
+UPDATE parking p
+SET regulation = NULLIF(s.parkregel_gruppe, '')
+FROM parking_segments_source s
+WHERE s.fid = p.id;
+
+DROP TABLE parking_segments_source;
+
 -- Optional: create spatial index for faster GIS queries
 CREATE INDEX idx_parking_geom ON parking USING GIST (geom);
+CREATE INDEX idx_parking_segment ON parking USING GIST (segment);